@@ -1,9 +1,28 @@
 // src/index.js
 import PDFVisualizer from './js/pdfVisualizer';
+import PDFVisualizerError from './js/pdfVisualizerError';
 const pdfVisualizer = new PDFVisualizer();
 
+let visualizerCount = 0;
+
+/**
+ * Crea una instancia independiente del visor de PDF.
+ * 
+ * Cada instancia usa un prefijo propio en los identificadores de sus
+ * elementos, por lo que varias instancias pueden estar abiertas a la vez.
+ * 
+ * @returns {PDFVisualizer} Una nueva instancia del visor de PDF.
+ */
+export function createVisualizer() {
+    visualizerCount++;
+    return new PDFVisualizer({ idPrefix: `pdf-visualizer-${visualizerCount}-` });
+}
+
 if (typeof window !== 'undefined') {
     window.pdfVisualizer = pdfVisualizer;
+    window.createVisualizer = createVisualizer;
 }
 
-export default pdfVisualizer;
\ No newline at end of file
+export { PDFVisualizerError };
+
+export default pdfVisualizer;
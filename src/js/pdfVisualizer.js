@@ -1,9 +1,73 @@
 // PDFVisualizer.js
-import { getDocument, GlobalWorkerOptions } from "pdfjs-dist";
+import { getDocument, GlobalWorkerOptions, TextLayer, AbortException, PasswordResponses, AnnotationMode, AnnotationEditorType } from "pdfjs-dist";
 import printJS from './printer';
 import feather from 'feather-icons';
+import PDFVisualizerError from './pdfVisualizerError';
 import '../css/style.css';
 
+/**
+ * Atajos de teclado por defecto de cada acción del visor. Cada atajo es una
+ * tecla (`KeyboardEvent.key`) precedida opcionalmente de `Ctrl+`, `Alt+` o
+ * `Shift+`; `Ctrl` también corresponde a la tecla Cmd en macOS.
+ */
+const DEFAULT_KEYMAP = {
+  nextPage: ['ArrowRight', 'PageDown'],
+  prevPage: ['ArrowLeft', 'PageUp'],
+  firstPage: ['Home'],
+  lastPage: ['End'],
+  zoomIn: ['Ctrl+=', 'Ctrl++'],
+  zoomOut: ['Ctrl+-'],
+  resetZoom: ['Ctrl+0'],
+  print: ['Ctrl+P'],
+  download: ['Ctrl+S'],
+  find: ['Ctrl+F'],
+  help: ['?'],
+};
+
+/**
+ * Forma de un atajo de teclado: los modificadores seguidos de la tecla.
+ */
+const SHORTCUT_PATTERN = /^((?:(?:Ctrl|Alt|Shift)\+)*)(.+)$/i;
+
+/**
+ * Descripción por defecto de cada acción en la ayuda de los atajos de teclado.
+ */
+const DEFAULT_KEYMAP_TITLES = {
+  nextPage: 'Next page',
+  prevPage: 'Previous page',
+  firstPage: 'First page',
+  lastPage: 'Last page',
+  zoomIn: 'Zoom in',
+  zoomOut: 'Zoom out',
+  resetZoom: 'Reset zoom',
+  print: 'Print',
+  download: 'Download',
+  find: 'Find in document',
+  help: 'Show keyboard shortcuts',
+};
+
+/**
+ * Tipos de los campos de formulario, según `PDFDocumentProxy.getFieldObjects()`,
+ * que el visor permite rellenar.
+ */
+const FORM_FIELD_TYPES = ['text', 'checkbox', 'radiobutton', 'combobox', 'listbox'];
+
+/**
+ * Tamaño, en unidades de la página, del icono de las notas creadas por el usuario.
+ */
+const NOTE_ICON_SIZE = 20;
+
+/**
+ * Espacio de nombres de los elementos SVG de la capa de anotaciones del usuario.
+ */
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * Prefijo de las claves del almacén de anotaciones de PDF.js que `saveDocument()`
+ * escribe en el documento como anotaciones nuevas.
+ */
+const ANNOTATION_EDITOR_PREFIX = 'pdfjs_internal_editor_';
+
 /**
  * Clase que representa un visor de documentos PDF.
  * 
@@ -27,24 +91,91 @@ class PDFVisualizer {
    * el zoom, y la interacción del usuario (como el desplazamiento y el 
    * arrastre). También establece el origen del worker de PDF.js para 
    * procesar los documentos PDF de manera eficiente.
+   * 
+   * @param {Object} [options] - Opciones de la instancia.
+   * @param {string} [options.idPrefix=''] - Prefijo de los identificadores de los elementos del visor, para
+   * que varias instancias puedan convivir en el mismo documento sin repetir identificadores.
    */
-  constructor() {
+  constructor({ idPrefix = '' } = {}) {
+    this.idPrefix = idPrefix;
     this.url = '';
+    this.source = null;
     this.headers = {};
     this.modal = null;
     this.container = null;
     this.title = 'PDF Visualizer';
     this.titlePageNumber = 'Page';
     this.titleLoading = 'Loading PDF...';
+    this.titleSearch = 'Search';
+    this.titleSearchOf = 'of';
+    this.titleSearchNoResults = 'No results';
+    this.titleSearchCaseSensitive = 'Match case';
+    this.titleSearchWholeWord = 'Whole words';
+    this.titleZoomFitWidth = 'Fit width';
+    this.titleZoomFitPage = 'Fit page';
+    this.titleZoomActualSize = 'Actual size';
+    this.titleOpenFile = 'Open file';
+    this.titleInvalidFile = 'The file is not a valid PDF document.';
+    this.titleRetry = 'Retry';
+    this.titleCancel = 'Cancel';
+    this.titleLoadingCancelled = 'The PDF loading was cancelled.';
+    this.titlePassword = 'This document is protected, enter the password to open it.';
+    this.titlePasswordIncorrect = 'The password is incorrect, please try again.';
+    this.titlePasswordPlaceholder = 'Password';
+    this.titleUnlock = 'Open';
+    this.titleShortcuts = 'Keyboard shortcuts';
+    this.titleKeymap = { ...DEFAULT_KEYMAP_TITLES };
+    this.keymap = { ...DEFAULT_KEYMAP };
+    this.titleErrorNetwork = 'Could not connect to the server, check your connection and try again.';
+    this.titleErrorHttp = 'The server responded with an error ({status}), please try again.';
+    this.titleErrorInvalidPdf = 'The document is not a valid PDF file.';
+    this.titleErrorPassword = 'The document is protected with a password.';
+    this.titleErrorUnknown = 'Error loading the PDF viewer, please try again.';
     this.fileName = null;
     this.pdfDoc = null;
     this.page = null;
+    this.pageView = null;
     this.pageNum = 1;
     this.pageRendering = false;
     this.pageNumPending = null;
+    this.pageRenderWaiters = [];
+    this.pageLabels = null;
     this.scale = 1.0;
+    this.zoomMode = 'custom';
+    this.minScale = 0.5;
+    this.maxScale = 3.0;
+    this.scaleStep = 0.1;
+    this.zoomPresets = [0.5, 0.75, 1, 1.25, 1.5, 2, 3];
+    this.resizeObserver = null;
+    this.resizeTimeout = null;
+    this.rotation = 0;
+    this.pageRotations = {};
+    this.rotationMode = 'document';
+    this.printResolution = 150;
     this.canvas = null;
     this.ctx = null;
+    this.viewMode = 'single';
+    this.pagesContainer = null;
+    this.pageViews = [];
+    this.layoutScale = null;
+    this.isVisiblePagesUpdatePending = false;
+    this.searchQuery = '';
+    this.searchCaseSensitive = false;
+    this.searchWholeWord = false;
+    this.searchMatches = [];
+    this.searchMatchIndex = -1;
+    this.searchId = 0;
+    this.searchTimeout = null;
+    this.isScrollingToSearchMatch = false;
+    this.pageTexts = [];
+    this.thumbnails = [];
+    this.thumbnailWidth = 100;
+    this.thumbnailQueue = [];
+    this.thumbnailObserver = null;
+    this.isRenderingThumbnail = false;
+    this.thumbnailGeneration = 0;
+    this.pendingDestination = null;
+    this.onLinkClick = null;
     this.isDraggingHeader = false;
     this.offsetX = 0;
     this.offsetY = 0;
@@ -53,7 +184,15 @@ class PDFVisualizer {
     this.startY = 0;
     this.scrollLeft = 0;
     this.scrollTop = 0;
+    this.touchPointers = new Map();
+    this.touchGesture = null;
+    this.lastTap = null;
+    this.zoomAnchor = null;
+    this.zoomBeforeFitWidth = null;
+    this.wheelZoomPreview = null;
+    this.wheelZoomTimeout = null;
     this.previousFocusedElement = null;
+    this.host = null;
     this.isOpening = false;
     this.isClosing = false;
     this.isDownloading = false;
@@ -63,6 +202,47 @@ class PDFVisualizer {
     this.isClosingOnClickOutside = true;
     this.isDownloadingOnClick = true;
     this.isPrintingOnClick = true;
+    this.isSearchable = true;
+    this.isThumbnailsOpen = false;
+    this.isOutlineOpen = true;
+    this.isOpeningFiles = false;
+    this.isStreaming = false;
+    this.onDocumentChange = null;
+    this.onError = null;
+    this.onProgress = null;
+    this.isLoading = false;
+    this.abortController = null;
+    this.loadingTask = null;
+    this.password = '';
+    this.onPasswordRequest = null;
+    this.isAnnotatable = false;
+    this.titleAnnotations = 'Annotations';
+    this.titleHighlight = 'Highlight text';
+    this.titleNote = 'Add note';
+    this.titleInk = 'Draw';
+    this.titleEraser = 'Erase annotation';
+    this.titleNotePlaceholder = 'Write a comment...';
+    this.titleDeleteNote = 'Delete note';
+    this.titleCloseNote = 'Close note';
+    this.highlightColor = '#ffeb3b';
+    this.noteColor = '#ffc107';
+    this.inkColor = '#e53935';
+    this.inkWidth = 2;
+    this.downloadMode = 'original';
+    this.titlePrintOptions = 'Print';
+    this.titlePrintAll = 'All pages';
+    this.titlePrintCurrent = 'Current page';
+    this.titlePrintRange = 'Pages';
+    this.titlePrintRangePlaceholder = 'e.g. 1-3, 7';
+    this.titlePrintRangeInvalid = 'Enter page numbers or ranges between 1 and {numPages}, like 1-3, 7.';
+    this.titlePrintSubmit = 'Print';
+    this.onAnnotationsChange = null;
+    this.annotations = [];
+    this.annotationTool = null;
+    this.inkDrawing = null;
+    this.openNoteId = null;
+    this.isPasswordRequested = false;
+    this.updatePassword = null;
     this.pdfUrl = '';
     GlobalWorkerOptions.workerSrc = new URL("pdfjs-dist/build/pdf.worker.min.mjs", import.meta.url).toString();
   }
@@ -73,16 +253,85 @@ class PDFVisualizer {
    *
    * @param {Object} options - Opciones para personalizar el visualizador de PDF.
    * @param {string} [options.url] - URL del archivo PDF a cargar.
+   * @param {string|Blob|ArrayBuffer|ArrayBufferView} [options.source] - Origen del PDF a cargar en lugar de `url`: una URL,
+   * un `Blob` o `File`, un `ArrayBuffer`, un arreglo tipado o un texto en base64 o data URI.
    * @param {Object} [options.headers] - Objeto de cabeceras para la petición HTTP.
    * @param {string} [options.title='PDF Visualizer'] - El título del visor de PDF.
    * @param {string} [options.titlePageNumber='Page'] - El texto que se muestra antes del número de página.
    * @param {string} [options.titleLoading='Loading PDF...'] - El mensaje que se muestra durante la carga del PDF.
+   * @param {string} [options.titleSearch='Search'] - El texto de ayuda del cuadro de búsqueda.
+   * @param {string} [options.titleSearchOf='of'] - El texto entre la coincidencia actual y el total de coincidencias.
+   * @param {string} [options.titleSearchNoResults='No results'] - El mensaje que se muestra cuando la búsqueda no tiene coincidencias.
+   * @param {string} [options.titleSearchCaseSensitive='Match case'] - El texto de la opción de búsqueda que distingue mayúsculas y minúsculas.
+   * @param {string} [options.titleSearchWholeWord='Whole words'] - El texto de la opción de búsqueda de palabras completas.
+   * @param {string} [options.titleZoomFitWidth='Fit width'] - El texto de la opción de zoom que ajusta la página al ancho.
+   * @param {string} [options.titleZoomFitPage='Fit page'] - El texto de la opción de zoom que ajusta la página completa.
+   * @param {string} [options.titleZoomActualSize='Actual size'] - El texto de la opción de zoom a tamaño real.
+   * @param {string} [options.titleOpenFile='Open file'] - El texto de ayuda del botón para abrir un archivo local.
+   * @param {string} [options.titleInvalidFile='The file is not a valid PDF document.'] - El mensaje de error cuando el archivo abierto no es un PDF.
+   * @param {string} [options.titleRetry='Retry'] - El texto del botón para reintentar la carga tras un error.
+   * @param {string} [options.titleCancel='Cancel'] - El texto del botón para cancelar la carga.
+   * @param {string} [options.titleLoadingCancelled='The PDF loading was cancelled.'] - El mensaje que se muestra al cancelar la carga.
+   * @param {string} [options.titlePassword] - El mensaje que pide la contraseña de un documento protegido.
+   * @param {string} [options.titlePasswordIncorrect] - El mensaje que se muestra cuando la contraseña es incorrecta.
+   * @param {string} [options.titlePasswordPlaceholder='Password'] - El texto de ayuda del campo de contraseña.
+   * @param {string} [options.titleUnlock='Open'] - El texto del botón que envía la contraseña.
+   * @param {string} [options.password] - La contraseña del documento, si está protegido.
+   * @param {string} [options.titleShortcuts='Keyboard shortcuts'] - El título de la ayuda de los atajos de teclado.
+   * @param {Object<string, string>} [options.titleKeymap] - La descripción de cada acción en la ayuda de los atajos, por acción.
+   * @param {Object<string, string|string[]>} [options.keymap] - Los atajos de teclado por acción ('nextPage', 'prevPage', 'firstPage',
+   * 'lastPage', 'zoomIn', 'zoomOut', 'resetZoom', 'print', 'download', 'find', 'help'), como `{ print: ['Ctrl+P'] }`.
+   * Reemplazan a los atajos por defecto de esas acciones; una lista vacía desactiva la acción.
+   * @param {string} [options.titleErrorNetwork] - El mensaje de error cuando no se puede conectar con el servidor.
+   * @param {string} [options.titleErrorHttp] - El mensaje de error cuando el servidor responde con un estado de error. `{status}` se reemplaza por el código HTTP.
+   * @param {string} [options.titleErrorInvalidPdf] - El mensaje de error cuando el contenido no es un PDF válido.
+   * @param {string} [options.titleErrorPassword] - El mensaje de error cuando el documento está protegido con contraseña.
+   * @param {string} [options.titleErrorUnknown] - El mensaje de cualquier otro error de carga.
    * @param {string} [options.fileName=''] - Nombre del archivo PDF.
+   * @param {string} [options.viewMode='single'] - Modo de visualización: 'single' muestra una página a la vez y 'continuous' muestra todas las páginas con desplazamiento vertical.
+   * @param {number|string} [options.zoom=1.0] - Zoom inicial: una escala o uno de los modos 'fit-width', 'fit-page' y 'actual-size'.
+   * @param {number} [options.minScale=0.5] - La escala mínima del zoom.
+   * @param {number} [options.maxScale=3.0] - La escala máxima del zoom.
+   * @param {number} [options.scaleStep=0.1] - El incremento de escala de los botones de zoom.
+   * @param {number[]} [options.zoomPresets=[0.5, 0.75, 1, 1.25, 1.5, 2, 3]] - Las escalas predefinidas del selector de zoom.
+   * @param {string} [options.rotationMode='document'] - Si el giro se aplica a todo el documento ('document') o solo a la página actual ('page').
+   * @param {HTMLElement|string} [options.container] - Elemento o selector donde se inserta el visor en modo embebido. Si no se indica, el visor se abre como modal.
    * @param {boolean} [options.isMoveable=true] - Si el modal es movible arrastrando la cabecera.
    * @param {boolean} [options.isClosingOnEscape=true] - Si el modal se puede cerrar con la tecla Escape.
    * @param {boolean} [options.isClosingOnClickOutside=true] - Si el modal se cierra al hacer clic fuera del contenido.
    * @param {boolean} [options.isDownloadingOnClick=true] - Si el botón de descarga del PDF está habilitado.
    * @param {boolean} [options.isPrintingOnClick=true] - Si el botón de impresión del PDF está habilitado.
+   * @param {boolean} [options.isSearchable=true] - Si se muestra el cuadro de búsqueda de texto.
+   * @param {boolean} [options.searchCaseSensitive=false] - Si la búsqueda distingue mayúsculas y minúsculas por defecto.
+   * @param {boolean} [options.searchWholeWord=false] - Si la búsqueda solo encuentra palabras completas por defecto.
+   * @param {boolean} [options.isThumbnailsOpen=false] - Si la barra lateral de miniaturas se muestra abierta al abrir el visor.
+   * @param {boolean} [options.isOutlineOpen=true] - Si el panel de marcadores se muestra abierto cuando el documento tiene marcadores.
+   * @param {boolean} [options.isStreaming=false] - Si los documentos cargados desde una URL se leen por rangos de bytes,
+   * mostrando la primera página sin esperar la descarga completa. Si el servidor no admite rangos se descarga el archivo completo.
+   * @param {boolean} [options.isOpeningFiles=false] - Si se pueden abrir archivos PDF locales con el botón de abrir o soltándolos sobre el visor.
+   * @param {boolean} [options.isAnnotatable=false] - Si se muestra la barra de anotaciones para resaltar texto, añadir notas y dibujar a mano alzada.
+   * @param {string} [options.titleAnnotations='Annotations'] - El nombre de la barra de anotaciones.
+   * @param {string} [options.titleHighlight='Highlight text'] - El texto de ayuda de la herramienta de resaltado.
+   * @param {string} [options.titleNote='Add note'] - El texto de ayuda de la herramienta de notas.
+   * @param {string} [options.titleInk='Draw'] - El texto de ayuda de la herramienta de dibujo a mano alzada.
+   * @param {string} [options.titleEraser='Erase annotation'] - El texto de ayuda de la herramienta para borrar anotaciones.
+   * @param {string} [options.titleNotePlaceholder='Write a comment...'] - El texto de ayuda del comentario de una nota.
+   * @param {string} [options.titleDeleteNote='Delete note'] - El texto del botón que elimina una nota.
+   * @param {string} [options.titleCloseNote='Close note'] - El texto del botón que cierra una nota.
+   * @param {string} [options.highlightColor='#ffeb3b'] - El color de los resaltados.
+   * @param {string} [options.noteColor='#ffc107'] - El color de las notas.
+   * @param {string} [options.inkColor='#e53935'] - El color de los trazos a mano alzada.
+   * @param {number} [options.inkWidth=2] - El grosor de los trazos a mano alzada, en unidades de la página.
+   * @param {string} [options.titlePrintOptions='Print'] - El título del cuadro de opciones de impresión.
+   * @param {string} [options.titlePrintAll='All pages'] - El texto de la opción para imprimir todas las páginas.
+   * @param {string} [options.titlePrintCurrent='Current page'] - El texto de la opción para imprimir la página actual.
+   * @param {string} [options.titlePrintRange='Pages'] - El texto de la opción para imprimir las páginas indicadas.
+   * @param {string} [options.titlePrintRangePlaceholder='e.g. 1-3, 7'] - El texto de ayuda del campo de páginas a imprimir.
+   * @param {string} [options.titlePrintRangeInvalid] - El mensaje cuando las páginas a imprimir no son válidas. `{numPages}` se reemplaza por el número de páginas.
+   * @param {string} [options.titlePrintSubmit='Print'] - El texto del botón que inicia la impresión.
+   * @param {number} [options.printResolution=150] - La resolución, en puntos por pulgada, con la que se renderizan las páginas que se imprimen como imágenes.
+   * @param {string} [options.downloadMode='original'] - Qué descarga el botón de descarga: 'original' descarga el documento
+   * (con los campos de formulario rellenados) y 'annotated' lo descarga además con las anotaciones del usuario como anotaciones PDF.
    * @param {string} [options.styleContent=''] - Estilo personalizado para el contenedor del modal.
    * @param {string} [options.styleHeader=''] - Estilo personalizado para el encabezado del modal.
    * @param {string} [options.styleControls=''] - Estilo personalizado para los controles del modal.
@@ -98,26 +347,109 @@ class PDFVisualizer {
    * @param {string} [options.styleButtonZoomOut=''] - Estilo personalizado para el botón de zoom out del modal.
    * @param {string} [options.styleButtonDownload=''] - Estilo personalizado para el botón de descarga del modal.
    * @param {string} [options.styleButtonPrint=''] - Estilo personalizado para el botón de impresión del modal.
+   * @param {string} [options.styleButtonRotateLeft=''] - Estilo personalizado para el botón de giro a la izquierda del modal.
+   * @param {string} [options.styleButtonRotateRight=''] - Estilo personalizado para el botón de giro a la derecha del modal.
+   * @param {string} [options.styleInputSearch=''] - Estilo personalizado para el cuadro de búsqueda del modal.
+   * @param {string} [options.styleSelectZoom=''] - Estilo personalizado para el selector de zoom del modal.
+   * @param {string} [options.styleButtonThumbnails=''] - Estilo personalizado para el botón de miniaturas del modal.
+   * @param {string} [options.styleSidebar=''] - Estilo personalizado para la barra lateral de miniaturas del modal.
+   * @param {string} [options.styleButtonOutline=''] - Estilo personalizado para el botón de marcadores del modal.
+   * @param {string} [options.styleOutline=''] - Estilo personalizado para el panel de marcadores del modal.
+   * @param {string} [options.styleButtonOpen=''] - Estilo personalizado para el botón de abrir archivo del modal.
    * @param {Function} [options.onBeforeOpen] - Función a ejecutar antes de que el PDF se haya cargado y el visor se haya abierto.
    * @param {Function} [options.onAfterOpen] - Función a ejecutar después de que el PDF se haya cargado y el visor se haya abierto.
    * @param {Function} [options.onBeforeClose] - Función a ejecutar antes de que el PDF se cierre.
    * @param {Function} [options.onAfterClose] - Función a ejecutar después de que el PDF se cierre.
-   * @param {Function} [options.onError] - Función a ejecutar si ocurre un error al cargar el PDF.
+   * @param {Function} [options.onError] - Función a ejecutar si ocurre un error al cargar el PDF. Recibe el mensaje y un
+   * `PDFVisualizerError` con el tipo (`kind`), el estado HTTP (`status`) y la URL (`url`) del error.
+   * @param {Function} [options.onPasswordRequest] - Función, que puede ser asíncrona, a ejecutar la primera vez que el documento
+   * pide una contraseña. Recibe `{ isIncorrect, fileName }` y debe retornar la contraseña; si no retorna un texto se muestra el formulario de contraseña.
+   * @param {Function} [options.onProgress] - Función a ejecutar mientras se descarga el PDF. Recibe `{ loaded, total }`,
+   * donde `total` es null si el servidor no indica el tamaño.
+   * @param {Function} [options.onDocumentChange] - Función a ejecutar después de reemplazar el documento por un archivo local. Recibe `{ fileName, numPages }`.
+   * @param {Function} [options.onAnnotationsChange] - Función a ejecutar cuando el usuario añade, modifica o elimina una anotación.
+   * Recibe `{ type, annotation, annotations }`, donde `type` es 'add', 'update' o 'remove' y `annotations` son todas las anotaciones.
+   * @param {Function} [options.onLinkClick] - Función a ejecutar al pulsar un enlace del documento. Recibe
+   * `{ url, dest, action, pageNum }`; si retorna `false` se cancela la navegación y si retorna un texto se abre esa URL.
    * 
    * @returns {Promise<void>} - No retorna un valor, pero puede usarse como promesa cuando la inicialización esté completa.
    */
   async init({
     url,
+    source,
     headers,
     title = 'PDF Visualizer',
     titlePageNumber = 'Page',
     titleLoading = 'Loading PDF...',
+    titleSearch = 'Search',
+    titleSearchOf = 'of',
+    titleSearchNoResults = 'No results',
+    titleSearchCaseSensitive = 'Match case',
+    titleSearchWholeWord = 'Whole words',
+    titleZoomFitWidth = 'Fit width',
+    titleZoomFitPage = 'Fit page',
+    titleZoomActualSize = 'Actual size',
+    titleOpenFile = 'Open file',
+    titleInvalidFile = 'The file is not a valid PDF document.',
+    titleRetry = 'Retry',
+    titleCancel = 'Cancel',
+    titleLoadingCancelled = 'The PDF loading was cancelled.',
+    titlePassword = 'This document is protected, enter the password to open it.',
+    titlePasswordIncorrect = 'The password is incorrect, please try again.',
+    titlePasswordPlaceholder = 'Password',
+    titleUnlock = 'Open',
+    titleShortcuts = 'Keyboard shortcuts',
+    titleKeymap = {},
+    keymap = {},
+    password = '',
+    titleErrorNetwork = 'Could not connect to the server, check your connection and try again.',
+    titleErrorHttp = 'The server responded with an error ({status}), please try again.',
+    titleErrorInvalidPdf = 'The document is not a valid PDF file.',
+    titleErrorPassword = 'The document is protected with a password.',
+    titleErrorUnknown = 'Error loading the PDF viewer, please try again.',
     fileName,
+    viewMode = 'single',
+    zoom = 1.0,
+    minScale = 0.5,
+    maxScale = 3.0,
+    scaleStep = 0.1,
+    zoomPresets = [0.5, 0.75, 1, 1.25, 1.5, 2, 3],
+    rotationMode = 'document',
+    container,
     isMoveable = true,
     isClosingOnEscape = true,
     isClosingOnClickOutside = true,
     isDownloadingOnClick = true,
     isPrintingOnClick = true,
+    isSearchable = true,
+    searchCaseSensitive = false,
+    searchWholeWord = false,
+    isThumbnailsOpen = false,
+    isOutlineOpen = true,
+    isOpeningFiles = false,
+    isStreaming = false,
+    isAnnotatable = false,
+    titleAnnotations = 'Annotations',
+    titleHighlight = 'Highlight text',
+    titleNote = 'Add note',
+    titleInk = 'Draw',
+    titleEraser = 'Erase annotation',
+    titleNotePlaceholder = 'Write a comment...',
+    titleDeleteNote = 'Delete note',
+    titleCloseNote = 'Close note',
+    highlightColor = '#ffeb3b',
+    noteColor = '#ffc107',
+    inkColor = '#e53935',
+    inkWidth = 2,
+    downloadMode = 'original',
+    titlePrintOptions = 'Print',
+    titlePrintAll = 'All pages',
+    titlePrintCurrent = 'Current page',
+    titlePrintRange = 'Pages',
+    titlePrintRangePlaceholder = 'e.g. 1-3, 7',
+    titlePrintRangeInvalid = 'Enter page numbers or ranges between 1 and {numPages}, like 1-3, 7.',
+    titlePrintSubmit = 'Print',
+    printResolution = 150,
     styleContent = '',
     styleHeader = '',
     styleControls = '',
@@ -133,27 +465,123 @@ class PDFVisualizer {
     styleButtonZoomOut = '',
     styleButtonDownload = '',
     styleButtonPrint = '',
+    styleButtonRotateLeft = '',
+    styleButtonRotateRight = '',
+    styleInputSearch = '',
+    styleSelectZoom = '',
+    styleButtonThumbnails = '',
+    styleSidebar = '',
+    styleButtonOutline = '',
+    styleOutline = '',
+    styleButtonOpen = '',
     onBeforeOpen,
     onAfterOpen,
     onBeforeClose,
     onAfterClose,
     onError,
+    onLinkClick,
+    onDocumentChange,
+    onProgress,
+    onPasswordRequest,
+    onAnnotationsChange,
   }) {
     try {
       // Se evita abrir el PDF dos veces
       if (this.isOpening) return;
 
       this.headers = headers;
+      this.onError = onError;
       this.isOpening = true;
       this.title = title;
       this.titlePageNumber = titlePageNumber;
       this.titleLoading = titleLoading;
+      this.titleSearch = titleSearch;
+      this.titleSearchOf = titleSearchOf;
+      this.titleSearchNoResults = titleSearchNoResults;
+      this.titleSearchCaseSensitive = titleSearchCaseSensitive;
+      this.titleSearchWholeWord = titleSearchWholeWord;
+      this.titleZoomFitWidth = titleZoomFitWidth;
+      this.titleZoomFitPage = titleZoomFitPage;
+      this.titleZoomActualSize = titleZoomActualSize;
+      this.titleOpenFile = titleOpenFile;
+      this.titleInvalidFile = titleInvalidFile;
+      this.titleRetry = titleRetry;
+      this.titleCancel = titleCancel;
+      this.titleLoadingCancelled = titleLoadingCancelled;
+      this.titlePassword = titlePassword;
+      this.titlePasswordIncorrect = titlePasswordIncorrect;
+      this.titlePasswordPlaceholder = titlePasswordPlaceholder;
+      this.titleUnlock = titleUnlock;
+      this.titleShortcuts = titleShortcuts;
+      this.titleKeymap = { ...DEFAULT_KEYMAP_TITLES, ...titleKeymap };
+      this.keymap = this.normalizeKeymap({ ...DEFAULT_KEYMAP, ...keymap });
+      this.password = password;
+      this.titleErrorNetwork = titleErrorNetwork;
+      this.titleErrorHttp = titleErrorHttp;
+      this.titleErrorInvalidPdf = titleErrorInvalidPdf;
+      this.titleErrorPassword = titleErrorPassword;
+      this.titleErrorUnknown = titleErrorUnknown;
       this.fileName = fileName;
-      this.isMoveable = isMoveable;
-      this.isClosingOnEscape = isClosingOnEscape;
-      this.isClosingOnClickOutside = isClosingOnClickOutside;
+      this.viewMode = viewMode === 'continuous' ? 'continuous' : 'single';
+      this.minScale = minScale;
+      this.maxScale = maxScale;
+      this.scaleStep = scaleStep;
+      this.rotationMode = rotationMode === 'page' ? 'page' : 'document';
+      this.zoomPresets = zoomPresets.filter(preset => preset >= minScale && preset <= maxScale);
+      if (typeof zoom === 'number') {
+        this.zoomMode = 'custom';
+        this.scale = Math.min(maxScale, Math.max(minScale, zoom));
+      } else {
+        this.zoomMode = ['fit-width', 'fit-page', 'actual-size'].includes(zoom) ? zoom : 'custom';
+      }
+      this.host = null;
+      if (container) {
+        this.host = typeof container === 'string' ? document.querySelector(container) : container;
+        if (!(this.host instanceof HTMLElement)) {
+          this.isOpening = false;
+          throw new PDFVisualizerError('The container element was not found.');
+        }
+      }
+      // En modo embebido el visor forma parte de la página, no se mueve ni se cierra como un modal
+      this.isMoveable = isMoveable && !this.isEmbedded();
+      this.isClosingOnEscape = isClosingOnEscape && !this.isEmbedded();
+      this.isClosingOnClickOutside = isClosingOnClickOutside && !this.isEmbedded();
       this.isDownloadingOnClick = isDownloadingOnClick;
       this.isPrintingOnClick = isPrintingOnClick;
+      this.isSearchable = isSearchable;
+      this.searchCaseSensitive = searchCaseSensitive;
+      this.searchWholeWord = searchWholeWord;
+      this.isThumbnailsOpen = isThumbnailsOpen;
+      this.isOutlineOpen = isOutlineOpen;
+      this.isOpeningFiles = isOpeningFiles;
+      this.isStreaming = isStreaming;
+      this.onLinkClick = onLinkClick;
+      this.onDocumentChange = onDocumentChange;
+      this.onProgress = onProgress;
+      this.onPasswordRequest = onPasswordRequest;
+      this.isAnnotatable = isAnnotatable;
+      this.titleAnnotations = titleAnnotations;
+      this.titleHighlight = titleHighlight;
+      this.titleNote = titleNote;
+      this.titleInk = titleInk;
+      this.titleEraser = titleEraser;
+      this.titleNotePlaceholder = titleNotePlaceholder;
+      this.titleDeleteNote = titleDeleteNote;
+      this.titleCloseNote = titleCloseNote;
+      this.highlightColor = highlightColor;
+      this.noteColor = noteColor;
+      this.inkColor = inkColor;
+      this.inkWidth = inkWidth;
+      this.downloadMode = downloadMode === 'annotated' ? 'annotated' : 'original';
+      this.titlePrintOptions = titlePrintOptions;
+      this.titlePrintAll = titlePrintAll;
+      this.titlePrintCurrent = titlePrintCurrent;
+      this.titlePrintRange = titlePrintRange;
+      this.titlePrintRangePlaceholder = titlePrintRangePlaceholder;
+      this.titlePrintRangeInvalid = titlePrintRangeInvalid;
+      this.titlePrintSubmit = titlePrintSubmit;
+      this.printResolution = printResolution;
+      this.onAnnotationsChange = onAnnotationsChange;
 
       // Se ejecuta antes de abrir el PDF
       if (typeof onBeforeOpen === 'function') {
@@ -162,67 +590,285 @@ class PDFVisualizer {
 
       // Crear el contenedor principal
       this.modal = document.createElement('div');
-      this.modal.className = 'pdf-visualizer-modal';
+      this.modal.className = this.isEmbedded() ? 'pdf-visualizer-modal pdf-visualizer-embedded' : 'pdf-visualizer-modal';
       this.modal.innerHTML = `
         <div class="pdf-visualizer-content" style="${styleContent}">
           <div class="pdf-visualizer-header" style="${styleHeader}">
-            <h5 style="${styleTextTitle}">${this.title}</h5>
-            <button id="close-btn-pdf-visualizer" class="button-control" style="${styleButtonClose}">${feather.icons.x.toSvg({ width: '1.378rem', height: '1.378rem' })}</button>
+            <h5 id="${this.getElementId('pdf-visualizer')}" style="${styleTextTitle}">${this.title}</h5>
+            <div class="header-actions">
+              <button id="${this.getElementId('shortcuts-toggle')}" class="button-control" title="${this.titleShortcuts}" aria-label="${this.titleShortcuts}" aria-controls="${this.getElementId('shortcuts')}" aria-expanded="false">${feather.icons["help-circle"].toSvg({ width: '1.378rem', height: '1.378rem' })}</button>
+              <button id="${this.getElementId('close-btn-pdf-visualizer')}" class="button-control" style="${styleButtonClose}">${feather.icons.x.toSvg({ width: '1.378rem', height: '1.378rem' })}</button>
+            </div>
           </div>
           <div class="pdf-visualizer-controls" style="${styleControls}">
             <div class="navigate-controls">
-              <button id="prev" class="button-control" style="${styleButtonPrev}" disabled>${feather.icons["chevrons-left"].toSvg({ width: '1.378rem', height: '1.378rem' })}</button>
-              <button id="next" class="button-control" style="${styleButtonNext}" disabled>${feather.icons["chevrons-right"].toSvg({ width: '1.378rem', height: '1.378rem' })}</button>
-              <span id="page-info" style="${styleTextPageNumber}">${this.titlePageNumber}: <span id="page_num"></span> / <span id="page_count"></span></span>
+              <button id="${this.getElementId('thumbnails-toggle')}" class="button-control" style="${styleButtonThumbnails}" aria-controls="${this.getElementId('pdf-sidebar')}" aria-expanded="${this.isThumbnailsOpen}">${feather.icons.sidebar.toSvg({ width: '1.378rem', height: '1.378rem' })}</button>
+              <button id="${this.getElementId('outline-toggle')}" class="button-control" style="${styleButtonOutline}" aria-controls="${this.getElementId('pdf-outline')}" aria-expanded="${this.isOutlineOpen}" hidden>${feather.icons.list.toSvg({ width: '1.378rem', height: '1.378rem' })}</button>
+              <button id="${this.getElementId('prev')}" class="button-control" style="${styleButtonPrev}" disabled>${feather.icons["chevrons-left"].toSvg({ width: '1.378rem', height: '1.378rem' })}</button>
+              <button id="${this.getElementId('next')}" class="button-control" style="${styleButtonNext}" disabled>${feather.icons["chevrons-right"].toSvg({ width: '1.378rem', height: '1.378rem' })}</button>
+              <span id="${this.getElementId('page-info')}" style="${styleTextPageNumber}">${this.titlePageNumber}: <input id="${this.getElementId('page_num')}" class="page-input" type="text" inputmode="numeric" autocomplete="off" aria-label="${this.titlePageNumber}" disabled> / <span id="${this.getElementId('page_count')}"></span></span>
             </div>
+            ${this.isSearchable ? `
+            <div class="search-controls">
+              <input id="${this.getElementId('search-input')}" class="search-input" type="search" placeholder="${this.titleSearch}" aria-label="${this.titleSearch}" style="${styleInputSearch}">
+              <label class="search-option" title="${this.titleSearchCaseSensitive}"><input id="${this.getElementId('search-case-sensitive')}" type="checkbox" ${this.searchCaseSensitive ? 'checked' : ''}>Aa</label>
+              <label class="search-option" title="${this.titleSearchWholeWord}"><input id="${this.getElementId('search-whole-word')}" type="checkbox" ${this.searchWholeWord ? 'checked' : ''}>ab</label>
+              <button id="${this.getElementId('search-prev')}" class="button-control" disabled>${feather.icons["chevron-up"].toSvg({ width: '1.378rem', height: '1.378rem' })}</button>
+              <button id="${this.getElementId('search-next')}" class="button-control" disabled>${feather.icons["chevron-down"].toSvg({ width: '1.378rem', height: '1.378rem' })}</button>
+              <span id="${this.getElementId('search-info')}" class="search-info"></span>
+            </div>` : ''}
+            ${this.isAnnotatable ? `
+            <div class="annotation-controls" role="toolbar" aria-label="${this.titleAnnotations}">
+              <button id="${this.getElementId('tool-highlight')}" class="button-control" data-annotation-tool="highlight" title="${this.titleHighlight}" aria-label="${this.titleHighlight}" aria-pressed="false">${feather.icons["edit-3"].toSvg({ width: '1.378rem', height: '1.378rem' })}</button>
+              <button id="${this.getElementId('tool-note')}" class="button-control" data-annotation-tool="note" title="${this.titleNote}" aria-label="${this.titleNote}" aria-pressed="false">${feather.icons["message-square"].toSvg({ width: '1.378rem', height: '1.378rem' })}</button>
+              <button id="${this.getElementId('tool-ink')}" class="button-control" data-annotation-tool="ink" title="${this.titleInk}" aria-label="${this.titleInk}" aria-pressed="false">${feather.icons["pen-tool"].toSvg({ width: '1.378rem', height: '1.378rem' })}</button>
+              <button id="${this.getElementId('tool-eraser')}" class="button-control" data-annotation-tool="eraser" title="${this.titleEraser}" aria-label="${this.titleEraser}" aria-pressed="false">${feather.icons.delete.toSvg({ width: '1.378rem', height: '1.378rem' })}</button>
+            </div>` : ''}
             <div class="zoom-controls">
-              <button id="zoomOut" class="button-control" style="${styleButtonZoomOut}" disabled>${feather.icons.minus.toSvg({ width: '1.378rem', height: '1.378rem' })}</button>
-              <span id="zoom-info" style="${stylTextZoomInfo}">100%</span>
-              <button id="zoomIn" class="button-control" style="${styleButtonZoomIn}" disabled>${feather.icons.plus.toSvg({ width: '1.378rem', height: '1.378rem' })}</button>
-              <button id="download" class="button-control" style="${styleButtonDownload}" ${this.isDownloadingOnClick ? '' : 'disabled'}>${feather.icons.download.toSvg({ width: '1.378rem', height: '1.378rem' })}</button>
-              <button id="print" class="button-control" style="${styleButtonPrint}" ${this.isPrintingOnClick ? '' : 'disabled'}>${feather.icons.printer.toSvg({ width: '1.378rem', height: '1.378rem' })}</button>
+              <button id="${this.getElementId('zoomOut')}" class="button-control" style="${styleButtonZoomOut}" disabled>${feather.icons.minus.toSvg({ width: '1.378rem', height: '1.378rem' })}</button>
+              <span id="${this.getElementId('zoom-info')}" class="zoom-info" style="${stylTextZoomInfo}">100%</span>
+              <select id="${this.getElementId('zoom-select')}" class="zoom-select" style="${styleSelectZoom}" disabled>
+                <option value="fit-width">${this.titleZoomFitWidth}</option>
+                <option value="fit-page">${this.titleZoomFitPage}</option>
+                <option value="actual-size">${this.titleZoomActualSize}</option>
+                ${this.zoomPresets.map(preset => `<option value="${preset}">${Math.round(preset * 100)}%</option>`).join('')}
+                <option value="custom" hidden></option>
+              </select>
+              <button id="${this.getElementId('zoomIn')}" class="button-control" style="${styleButtonZoomIn}" disabled>${feather.icons.plus.toSvg({ width: '1.378rem', height: '1.378rem' })}</button>
+              <button id="${this.getElementId('rotateLeft')}" class="button-control" style="${styleButtonRotateLeft}" disabled>${feather.icons["rotate-ccw"].toSvg({ width: '1.378rem', height: '1.378rem' })}</button>
+              <button id="${this.getElementId('rotateRight')}" class="button-control" style="${styleButtonRotateRight}" disabled>${feather.icons["rotate-cw"].toSvg({ width: '1.378rem', height: '1.378rem' })}</button>
+              ${this.isOpeningFiles ? `
+              <button id="${this.getElementId('open-file')}" class="button-control" style="${styleButtonOpen}" title="${this.titleOpenFile}" aria-label="${this.titleOpenFile}">${feather.icons["folder"].toSvg({ width: '1.378rem', height: '1.378rem' })}</button>
+              <input id="${this.getElementId('file-input')}" type="file" accept="application/pdf,.pdf" hidden>` : ''}
+              <button id="${this.getElementId('download')}" class="button-control" style="${styleButtonDownload}" ${this.isDownloadingOnClick ? '' : 'disabled'}>${feather.icons.download.toSvg({ width: '1.378rem', height: '1.378rem' })}</button>
+              <button id="${this.getElementId('print')}" class="button-control" style="${styleButtonPrint}" ${this.isPrintingOnClick ? '' : 'disabled'}>${feather.icons.printer.toSvg({ width: '1.378rem', height: '1.378rem' })}</button>
+            </div>
+          </div>
+          <div class="pdf-visualizer-main">
+            <div id="${this.getElementId('pdf-sidebar')}" class="pdf-visualizer-sidebar" style="${styleSidebar}" ${this.isThumbnailsOpen ? '' : 'hidden'}>
+              <div id="${this.getElementId('pdf-thumbnails')}" class="pdf-visualizer-thumbnails"></div>
+            </div>
+            <div id="${this.getElementId('pdf-outline')}" class="pdf-visualizer-sidebar pdf-visualizer-outline" style="${styleOutline}" hidden></div>
+            <div id="${this.getElementId('pdf-body')}" class="pdf-visualizer-body" style="${styleBody}">
+              ${this.isContinuous() ? `<div id="${this.getElementId('pdf-pages')}" class="pdf-visualizer-pages"></div>` : `<div id="${this.getElementId('the-page')}" class="pdf-visualizer-page pdf-visualizer-single-page"><canvas id="${this.getElementId('the-canvas')}" class="pdf-visualizer-canvas"></canvas></div>`}
+              <div id="${this.getElementId('preloader')}" class="pdf-visualizer-preloader">
+                <div class="preloader-status">
+                  <div class="spinner" style="${styleTextLoading}"></div>
+                  <span id="${this.getElementId('preloader-text')}">${this.titleLoading}</span>
+                </div>
+                <div id="${this.getElementId('progress')}" class="pdf-visualizer-progress" role="progressbar" aria-valuemin="0" aria-valuemax="100" hidden>
+                  <div id="${this.getElementId('progress-bar')}" class="pdf-visualizer-progress-bar"></div>
+                </div>
+                <form id="${this.getElementId('password-form')}" class="pdf-visualizer-password" hidden>
+                  <label id="${this.getElementId('password-label')}" for="${this.getElementId('password-input')}">${this.titlePassword}</label>
+                  <div class="password-controls">
+                    <input id="${this.getElementId('password-input')}" class="password-input" type="password" placeholder="${this.titlePasswordPlaceholder}" autocomplete="off">
+                    <button type="submit" class="button-control">${this.titleUnlock}</button>
+                  </div>
+                </form>
+                <button id="${this.getElementId('retry')}" class="button-control" hidden>${this.titleRetry}</button>
+                <button id="${this.getElementId('cancel')}" class="button-control">${this.titleCancel}</button>
+              </div>
             </div>
           </div>
-          <div id="pdf-body" style="${styleBody}">
-            <canvas id="the-canvas"></canvas>
-            <div id="preloader">
-              <div class="spinner" style="${styleTextLoading}"></div>
-              ${this.titleLoading}
+          <div id="${this.getElementId('shortcuts')}" class="pdf-visualizer-shortcuts" role="dialog" aria-labelledby="${this.getElementId('shortcuts-title')}" hidden>
+            <div class="shortcuts-content">
+              <div class="shortcuts-header">
+                <h6 id="${this.getElementId('shortcuts-title')}">${this.titleShortcuts}</h6>
+                <button id="${this.getElementId('shortcuts-close')}" class="button-control">${feather.icons.x.toSvg({ width: '1.378rem', height: '1.378rem' })}</button>
+              </div>
+              <dl class="shortcuts-list">
+                ${Object.keys(this.keymap).filter(action => this.keymap[action]?.length > 0).map(action => `
+                <dt>${this.keymap[action].map(shortcut => `<kbd>${this.escapeHtml(shortcut)}</kbd>`).join(' ')}</dt>
+                <dd>${this.titleKeymap[action] || action}</dd>`).join('')}
+              </dl>
             </div>
           </div>
+          <div id="${this.getElementId('print-options')}" class="pdf-visualizer-print-options" role="dialog" aria-labelledby="${this.getElementId('print-options-title')}" hidden>
+            <form id="${this.getElementId('print-options-form')}" class="print-options-content" novalidate>
+              <h6 id="${this.getElementId('print-options-title')}">${this.titlePrintOptions}</h6>
+              <label class="print-option"><input type="radio" name="${this.getElementId('print-pages')}" value="all" checked>${this.titlePrintAll}</label>
+              <label class="print-option"><input type="radio" name="${this.getElementId('print-pages')}" value="current">${this.titlePrintCurrent}</label>
+              <label class="print-option"><input id="${this.getElementId('print-pages-range')}" type="radio" name="${this.getElementId('print-pages')}" value="range">${this.titlePrintRange}</label>
+              <input id="${this.getElementId('print-range')}" class="print-range-input" type="text" placeholder="${this.titlePrintRangePlaceholder}" aria-label="${this.titlePrintRange}" aria-describedby="${this.getElementId('print-range-error')}" autocomplete="off">
+              <span id="${this.getElementId('print-range-error')}" class="print-range-error" role="alert" hidden></span>
+              <div class="print-options-actions">
+                <button id="${this.getElementId('print-options-cancel')}" type="button" class="button-control">${this.titleCancel}</button>
+                <button type="submit" class="button-control">${this.titlePrintSubmit}</button>
+              </div>
+            </form>
+          </div>
         </div>
       `;
 
       // Configurar accesibilidad
       this.container = this.modal.querySelector('.pdf-visualizer-content');
       this.container.setAttribute('tabindex', '-1');
-      this.container.setAttribute('role', 'dialog');
+      this.container.setAttribute('role', this.isEmbedded() ? 'region' : 'dialog');
       this.container.setAttribute('aria-container', 'true');
-      this.container.setAttribute('aria-labelledby', 'pdf-visualizer');
+      this.container.setAttribute('aria-labelledby', this.getElementId('pdf-visualizer'));
 
       // Configurar eventos
-      this.container.querySelector('#close-btn-pdf-visualizer').addEventListener('click', () => this.close({
+      this.getElement('close-btn-pdf-visualizer').addEventListener('click', () => this.close({
         onBeforeClose,
         onAfterClose,
       }));
-      this.container.querySelector('#prev').addEventListener('click', () => this.onPrevPage());
-      this.container.querySelector('#next').addEventListener('click', () => this.onNextPage());
-      this.container.querySelector('#zoomIn').addEventListener('click', () => this.onZoomIn());
-      this.container.querySelector('#zoomOut').addEventListener('click', () => this.onZoomOut());
-      this.container.querySelector('#download').addEventListener('click', () => this.onDownload());
-      this.container.querySelector('#print').addEventListener('click', () => this.onPrint());
+      this.getElement('prev').addEventListener('click', () => this.onPrevPage());
+      const pageInput = this.getElement('page_num');
+      pageInput.addEventListener('focus', () => pageInput.select());
+      pageInput.addEventListener('blur', () => this.updatePageNumber());
+      pageInput.addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter') return;
+        e.preventDefault();
+        this.onPageInput();
+      });
+      this.getElement('next').addEventListener('click', () => this.onNextPage());
+      this.getElement('zoomIn').addEventListener('click', () => this.onZoomIn());
+      this.getElement('zoomOut').addEventListener('click', () => this.onZoomOut());
+      this.getElement('zoom-select').addEventListener('change', (e) => {
+        const value = e.target.value;
+        this.setZoom(isNaN(Number(value)) ? value : Number(value));
+      });
+      this.updateZoomInfo();
+      this.getElement('rotateLeft').addEventListener('click', () => this.rotate(-90));
+      this.getElement('rotateRight').addEventListener('click', () => this.rotate(90));
+      this.getElement('download').addEventListener('click', () => this.onDownload());
+      this.getElement('print').addEventListener('click', () => this.onPrint());
+      this.getElement('thumbnails-toggle').addEventListener('click', () => this.toggleThumbnails());
+      this.getElement('outline-toggle').addEventListener('click', () => this.toggleOutline());
+      this.getElement('retry').addEventListener('click', () => this.retry());
+      this.getElement('shortcuts-toggle').addEventListener('click', () => this.toggleShortcutsHelp());
+      this.getElement('shortcuts-close').addEventListener('click', () => this.toggleShortcutsHelp(false));
+      this.getElement('print-options-form').addEventListener('submit', (e) => this.onPrintOptionsSubmit(e));
+      this.getElement('print-options-cancel').addEventListener('click', () => this.togglePrintOptions(false));
+      this.getElement('print-range').addEventListener('focus', () => { this.getElement('print-pages-range').checked = true; });
+      this.container.addEventListener('keydown', (e) => this.onKeyDown(e));
+      this.getElement('cancel').addEventListener('click', () => this.cancelLoading());
+      this.getElement('password-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.submitPassword();
+      });
+
+      // Configurar la búsqueda de texto
+      if (this.isSearchable) {
+        const searchInput = this.getElement('search-input');
+        const searchCaseSensitive = this.getElement('search-case-sensitive');
+        const searchWholeWord = this.getElement('search-whole-word');
+
+        searchInput.addEventListener('input', () => {
+          clearTimeout(this.searchTimeout);
+          this.searchTimeout = setTimeout(() => this.search(searchInput.value).catch(error => console.error(error)), 300);
+        });
+        searchInput.addEventListener('keydown', (e) => {
+          if (e.key !== 'Enter') return;
+          e.preventDefault();
+          clearTimeout(this.searchTimeout);
+
+          if (searchInput.value === this.searchQuery && this.searchMatches.length > 0) {
+            e.shiftKey ? this.onSearchPrev() : this.onSearchNext();
+          } else {
+            this.search(searchInput.value).catch(error => console.error(error));
+          }
+        });
+        searchCaseSensitive.addEventListener('change', () => this.search(searchInput.value, {
+          caseSensitive: searchCaseSensitive.checked,
+        }).catch(error => console.error(error)));
+        searchWholeWord.addEventListener('change', () => this.search(searchInput.value, {
+          wholeWord: searchWholeWord.checked,
+        }).catch(error => console.error(error)));
+        this.getElement('search-prev').addEventListener('click', () => this.onSearchPrev());
+        this.getElement('search-next').addEventListener('click', () => this.onSearchNext());
+      }
 
       // Configurar canvas y contexto
-      this.canvas = this.container.querySelector('#the-canvas');
-      this.ctx = this.canvas.getContext('2d');
+      if (this.isContinuous()) {
+        this.pagesContainer = this.getElement('pdf-pages');
+      } else {
+        this.canvas = this.getElement('the-canvas');
+        this.ctx = this.canvas.getContext('2d');
+        this.pageView = {
+          num: this.pageNum,
+          page: null,
+          element: this.getElement('the-page'),
+          textLayer: null,
+          textLayerPage: null,
+          annotationLayerPage: null,
+          annotationLayerRotation: null,
+          markupLayerPage: null,
+          markupLayerRotation: null,
+        };
+      }
 
       // Configurar funcionalidad de arrastre
-      const pdfBbody = this.container.querySelector('#pdf-body');
+      const pdfBbody = this.getElement('pdf-body');
+
+      // Configurar el seguimiento de las páginas visibles en modo continuo
+      if (this.isContinuous()) {
+        pdfBbody.addEventListener('scroll', () => this.scheduleVisiblePagesUpdate());
+      }
+
+      // Recalcular el zoom de ajuste cuando cambia el tamaño del visor
+      this.resizeObserver = new ResizeObserver(() => {
+        clearTimeout(this.resizeTimeout);
+        this.resizeTimeout = setTimeout(() => this.onResize(), 100);
+      });
+      this.resizeObserver.observe(pdfBbody);
       pdfBbody.addEventListener('mousedown', (e) => this.startDragging(e));
       pdfBbody.addEventListener('mousemove', (e) => this.drag(e));
       pdfBbody.addEventListener('mouseup', () => this.stopDragging());
       pdfBbody.addEventListener('mouseleave', () => this.stopDragging());
 
+      // Configurar los gestos táctiles
+      pdfBbody.addEventListener('pointerdown', (e) => this.onTouchStart(e));
+      pdfBbody.addEventListener('pointermove', (e) => this.onTouchMove(e));
+      pdfBbody.addEventListener('pointerup', (e) => this.onTouchEnd(e));
+      pdfBbody.addEventListener('pointercancel', (e) => this.onTouchEnd(e));
+
+      // Configurar las herramientas de anotación
+      if (this.isAnnotatable) {
+        this.container.querySelectorAll('[data-annotation-tool]').forEach(button => {
+          const tool = button.dataset.annotationTool;
+          button.addEventListener('click', () => this.setAnnotationTool(this.annotationTool === tool ? null : tool));
+        });
+      }
+      pdfBbody.addEventListener('pointerdown', (e) => this.onMarkupPointerDown(e));
+      pdfBbody.addEventListener('pointermove', (e) => this.onMarkupPointerMove(e));
+      pdfBbody.addEventListener('pointerup', (e) => this.onMarkupPointerUp(e));
+      pdfBbody.addEventListener('pointercancel', (e) => this.onMarkupPointerUp(e));
+
+      // Configurar el zoom con Ctrl + rueda del ratón y el pellizco del trackpad
+      pdfBbody.addEventListener('wheel', (e) => this.onWheel(e), { passive: false });
+
+      // Configurar la apertura de archivos locales con el botón o soltándolos sobre el visor
+      if (this.isOpeningFiles) {
+        const fileInput = this.getElement('file-input');
+
+        this.getElement('open-file').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+          const file = fileInput.files[0];
+          // Permitir volver a elegir el mismo archivo
+          fileInput.value = '';
+          if (file) this.handleOpenFile(file);
+        });
+
+        pdfBbody.addEventListener('dragover', (e) => {
+          if (!e.dataTransfer?.types.includes('Files')) return;
+          e.preventDefault();
+          e.dataTransfer.dropEffect = 'copy';
+          pdfBbody.classList.add('pdf-visualizer-body-dragover');
+        });
+        pdfBbody.addEventListener('dragleave', (e) => {
+          if (e.relatedTarget instanceof Node && pdfBbody.contains(e.relatedTarget)) return;
+          pdfBbody.classList.remove('pdf-visualizer-body-dragover');
+        });
+        pdfBbody.addEventListener('drop', (e) => {
+          e.preventDefault();
+          pdfBbody.classList.remove('pdf-visualizer-body-dragover');
+          const file = e.dataTransfer?.files[0];
+          if (file) this.handleOpenFile(file);
+        });
+      }
+
 
       if (this.isMoveable) {
         const pdfHeader = this.container.querySelector('.pdf-visualizer-header');
@@ -271,21 +917,202 @@ class PDFVisualizer {
       }
 
       // Configurar funcionalidad de captura de foco
-      this.trapFocus();
+      if (!this.isEmbedded()) {
+        this.trapFocus();
+      }
 
       // Abrir el PDF
       await this.open({
         url,
+        source,
         onAfterOpen,
       });
     } catch (error) {
-      if (typeof onError === 'function') {
-        onError(error.message || 'Error initializing the PDF viewer, please try again.');
+      this.handleError(error);
+    }
+  }
+
+  /**
+   * Ejecuta la acción asociada a la tecla pulsada según el mapa de atajos de teclado.
+   * 
+   * Mientras se escribe en un campo de texto solo se atienden los atajos con
+   * `Ctrl`, para no interferir con la edición. Con la ayuda de los atajos
+   * abierta, Escape la cierra en lugar de cerrar el visor.
+   * 
+   * @param {KeyboardEvent} e - El evento de teclado.
+   * @returns {void}
+   */
+  onKeyDown(e) {
+    if (e.key === 'Escape' && !this.getElement('shortcuts').hidden) {
+      e.stopPropagation();
+      this.toggleShortcutsHelp(false);
+      return;
+    }
+
+    if (e.key === 'Escape' && !this.getElement('print-options').hidden) {
+      e.stopPropagation();
+      this.togglePrintOptions(false);
+      return;
+    }
+
+    const target = e.target;
+    const isTyping = target instanceof HTMLElement && (target.matches('input, textarea, select') || target.isContentEditable);
+    if (isTyping && !e.ctrlKey && !e.metaKey) return;
+
+    const action = Object.keys(this.keymap).find(name => (this.keymap[name] || []).some(shortcut => this.matchesShortcut(e, shortcut)));
+    if (!action) return;
+
+    // Sin documento cargado solo se puede abrir la ayuda
+    if (!this.pdfDoc && action !== 'help') return;
+
+    e.preventDefault();
+    this.runShortcut(action);
+  }
+
+  /**
+   * Normaliza el mapa de atajos: un atajo suelto se convierte en una lista y se
+   * descartan los atajos que no son cadenas con la forma 'Ctrl+P' o 'PageDown'.
+   * 
+   * @param {Object<string, string|string[]>} keymap - Los atajos de teclado por acción.
+   * @returns {Object<string, string[]>} Los atajos válidos por acción.
+   */
+  normalizeKeymap(keymap) {
+    return Object.fromEntries(Object.entries(keymap).map(([action, shortcuts]) => {
+      const list = Array.isArray(shortcuts) ? shortcuts : [shortcuts];
+      return [action, list.filter(shortcut => typeof shortcut === 'string' && SHORTCUT_PATTERN.test(shortcut))];
+    }));
+  }
+
+  /**
+   * Escapa los caracteres especiales de HTML de un texto para insertarlo en una plantilla.
+   * 
+   * @param {string} text - El texto a escapar.
+   * @returns {string} El texto escapado.
+   */
+  escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+  }
+
+  /**
+   * Comprueba si un evento de teclado corresponde a un atajo como 'Ctrl+P' o 'PageDown'.
+   * 
+   * En los atajos de un solo símbolo, como '?' o 'Ctrl++', no se tiene en cuenta
+   * la tecla Shift, ya que depende de la distribución del teclado.
+   * 
+   * @param {KeyboardEvent} e - El evento de teclado.
+   * @param {string} shortcut - El atajo a comprobar.
+   * @returns {boolean} True si el evento corresponde al atajo.
+   */
+  matchesShortcut(e, shortcut) {
+    const match = SHORTCUT_PATTERN.exec(shortcut);
+    if (!match) return false;
+
+    const [, modifiers, key] = match;
+    const hasModifier = (name) => modifiers.toLowerCase().includes(`${name}+`);
+    const isSymbol = key.length === 1 && !/[a-z0-9]/i.test(key);
+
+    if ((e.ctrlKey || e.metaKey) !== hasModifier('ctrl')) return false;
+    if (e.altKey !== hasModifier('alt')) return false;
+    if (!isSymbol && e.shiftKey !== hasModifier('shift')) return false;
+
+    return e.key.toLowerCase() === key.toLowerCase();
+  }
+
+  /**
+   * Ejecuta una acción de los atajos de teclado.
+   * 
+   * @param {string} action - La acción a ejecutar, una de las claves del mapa de atajos.
+   * @returns {void}
+   */
+  runShortcut(action) {
+    switch (action) {
+      case 'nextPage':
+        this.onNextPage();
+        break;
+      case 'prevPage':
+        this.onPrevPage();
+        break;
+      case 'firstPage':
+      case 'lastPage': {
+        const num = action === 'firstPage' ? 1 : this.pdfDoc.numPages;
+        if (this.pageRendering || this.pageNum === num) return;
+        this.goToPage(num).catch(error => console.error(error));
+        break;
       }
-      this.container.querySelector('#preloader').textContent = error.message || 'Error initializing the PDF viewer, please try again.';
+      case 'zoomIn':
+        this.onZoomIn();
+        break;
+      case 'zoomOut':
+        this.onZoomOut();
+        break;
+      case 'resetZoom':
+        if (!this.pageRendering) this.setZoom(1);
+        break;
+      case 'print':
+        this.onPrint();
+        break;
+      case 'download':
+        this.onDownload();
+        break;
+      case 'find':
+        if (this.isSearchable) {
+          this.getElement('search-input').focus();
+          this.getElement('search-input').select();
+        }
+        break;
+      case 'help':
+        this.toggleShortcutsHelp();
+        break;
+    }
+  }
+
+  /**
+   * Abre o cierra la ayuda con la lista de atajos de teclado.
+   * 
+   * @param {boolean} [isOpen] - Si se debe abrir la ayuda. Por defecto se alterna su estado.
+   * @returns {void}
+   */
+  toggleShortcutsHelp(isOpen = this.getElement('shortcuts').hidden) {
+    this.getElement('shortcuts').hidden = !isOpen;
+    this.getElement('shortcuts-toggle').setAttribute('aria-expanded', String(isOpen));
+
+    if (isOpen) {
+      this.getElement('shortcuts-close').focus();
+    } else {
+      this.container.focus();
     }
   }
 
+  /**
+   * Verifica si el visor se muestra embebido en un elemento de la página en lugar de como modal.
+   * 
+   * @returns {boolean} True si el visor está embebido, false en caso contrario.
+   */
+  isEmbedded() {
+    return this.host !== null;
+  }
+
+  /**
+   * Obtiene el identificador de un elemento del visor con el prefijo de la instancia.
+   * 
+   * @param {string} id - El identificador del elemento sin prefijo, por ejemplo 'pdf-body'.
+   * @returns {string} El identificador del elemento en el documento.
+   */
+  getElementId(id) {
+    return `${this.idPrefix}${id}`;
+  }
+
+  /**
+   * Obtiene un elemento del visor por su identificador sin prefijo.
+   * 
+   * @param {string} id - El identificador del elemento sin prefijo, por ejemplo 'pdf-body'.
+   * @returns {HTMLElement|null} El elemento, o null si no existe.
+   */
+  getElement(id) {
+    // El prefijo puede contener caracteres especiales de los selectores CSS
+    return this.container.querySelector(`#${CSS.escape(this.getElementId(id))}`);
+  }
+
   /**
    * Captura el foco dentro del modal del visor PDF para mejorar la accesibilidad
    * y la navegación mediante el teclado.
@@ -333,204 +1160,2614 @@ class PDFVisualizer {
   }
 
   /**
-   * Carga y renderiza un documento PDF a partir de una URL proporcionada.
-   * @param {string} url - Un objeto que contiene la URL del PDF a cargar.
+   * Carga y renderiza un documento PDF a partir de una URL u otro origen proporcionado.
+   * @param {string|Blob|ArrayBuffer|ArrayBufferView} source - La URL, el archivo, los bytes o el base64 del PDF a cargar.
    * @throws {Error} Si hay algún error al cargar el PDF o al inicializar el visor.
    * 
    * @returns {Promise<void>} - Una promesa que se resuelve una vez que el PDF se ha cargado y renderizado.
    */
-  async loadPDF(url) {
+  async loadPDF(source) {
+    const abortController = new AbortController();
+
     try {
       this.pageRendering = true;
-      this.url = url;
-      // Fetch el PDF como un blob
-      const response = await fetch(this.url, {
-        method: 'GET',
-        headers: this.headers || {},
-      });
-      const pdfBuffer = await response.arrayBuffer();
+      this.isLoading = true;
+      this.source = source;
+      this.abortController = abortController;
+      this.isPasswordRequested = false;
+
+      // Cargar el documento PDF
+      const isStreamingSource = this.isStreaming && typeof source === 'string' && !this.isBase64Source(source);
+      let pdfDoc;
+
+      if (isStreamingSource) {
+        // PDF.js pide solo los rangos de bytes que necesita, o descarga el archivo completo
+        // si el servidor no anuncia `Accept-Ranges`
+        this.url = source;
+        this.loadingTask = getDocument({
+          url: source,
+          httpHeaders: this.headers || {},
+          password: this.password || undefined,
+          disableAutoFetch: true,
+        });
+        this.loadingTask.onPassword = (updatePassword, reason) => this.requestPassword(updatePassword, reason);
+        this.loadingTask.onProgress = ({ loaded, total }) => this.updateProgress(loaded, total || null);
+        pdfDoc = await this.loadingTask.promise;
+
+        if (!this.fileName) {
+          const { contentDispositionFilename } = await pdfDoc.getMetadata();
+          this.fileName = contentDispositionFilename || this.getPdfFileNameFromUrl(source) || 'documento.pdf';
+        }
+      } else {
+        // Leer el contenido del PDF según su origen
+        const { data, fileName } = await this.readSource(source, abortController.signal);
+        abortController.signal.throwIfAborted();
 
-      // Obtener el nombre del archivo
-      const contentDisposition = response.headers.get('Content-Disposition');
+        if (!this.fileName) {
+          this.fileName = fileName || 'documento.pdf';
+        }
 
-      if (!this.fileName && contentDisposition) {
-        this.fileName = contentDisposition
-          .split(';')
-          .find(n => n.includes('filename=')) // Buscar la parte que contiene el nombre del archivo
-          ?.split('=')[1] // Obtener el valor después del "="
-          .replaceAll('"', '') // Eliminar comillas dobles
-          .replace(/^UTF-8''/i, ''); // Eliminar el prefijo "UTF-8''" si está presente
+        this.loadingTask = getDocument({ data, password: this.password || undefined });
+        this.loadingTask.onPassword = (updatePassword, reason) => this.requestPassword(updatePassword, reason);
+        pdfDoc = await this.loadingTask.promise;
+      }
 
-        // Decodificar el nombre del archivo si está codificado
-        this.fileName = decodeURIComponent(this.fileName);
-      } if (!this.fileName) {
-        this.fileName = 'documento.pdf';
+      // La carga pudo cancelarse mientras PDF.js abría el documento
+      if (abortController.signal.aborted) {
+        pdfDoc.destroy();
+        abortController.signal.throwIfAborted();
       }
 
-      // Cargar el documento PDF
-      const loadingTask = getDocument({ data: pdfBuffer });
-      this.pdfDoc = await loadingTask.promise;
+      this.pdfDoc = pdfDoc;
+      this.isLoading = false;
+      this.loadingTask = null;
+      this.abortController = null;
 
-      this.pdfDoc.getData().then(arrayBuffer => {
-        // Convertir el ArrayBuffer a un Blob
-        const pdfBlob = new Blob([arrayBuffer], { type: 'application/pdf' });
-        this.pdfUrl = URL.createObjectURL(pdfBlob);
-      });
+      // Obtener las etiquetas de las páginas, como "iv" o "A-3", si el documento las define
+      this.pageLabels = await pdfDoc.getPageLabels();
 
       // Actualizar el número de páginas
-      this.container.querySelector('#page_count').textContent = this.pdfDoc.numPages;
-      this.container.querySelector('#preloader').style.display = 'none';
+      this.updatePageNumber();
+      this.getElement('preloader').style.display = 'none';
+
+      // Renderizar la primera página o preparar todas las páginas en modo continuo
+      if (this.isContinuous()) {
+        await this.setupContinuousPages();
+      } else {
+        await this.renderPage(this.pageNum);
+      }
+
+      // Preparar las miniaturas si la barra lateral está abierta
+      if (this.isThumbnailsOpen) {
+        this.setupThumbnails().catch(error => console.error(error));
+      }
 
-      // Renderizar la primera página
-      await this.renderPage(this.pageNum);
+      // Mostrar los marcadores del documento, si los tiene
+      this.setupOutline().catch(error => console.error(error));
     } catch (error) {
+      if (abortController.signal.aborted) {
+        throw new PDFVisualizerError(this.titleLoadingCancelled, { kind: 'abort', url: this.url, cause: error });
+      }
+
       console.error('Error loading the PDF viewer, please try again.', error);
-      throw new Error(error.message || 'Error loading the PDF viewer, please try again.');
+      throw this.toVisualizerError(error);
     } finally {
+      if (this.abortController === abortController) {
+        this.isLoading = false;
+        this.loadingTask = null;
+        this.abortController = null;
+      }
       this.pageRendering = false;
     }
   }
 
   /**
-   * Renderiza la página PDF especificada por el número.
-   * @param {number} num - El número de la página a renderizar.
-   * @returns {void}
+   * Obtiene la contraseña que pide PDF.js para abrir un documento protegido.
+   * 
+   * La primera petición se consulta a `onPasswordRequest`, si existe; si no retorna
+   * una contraseña, o esta es incorrecta, se muestra el formulario de contraseña.
+   * 
+   * @param {Function} updatePassword - La función de PDF.js que recibe la contraseña.
+   * @param {number} reason - El motivo de la petición, uno de `PasswordResponses`.
+   * @returns {Promise<void>}
    */
-  async renderPage(num) {
-    // Obtener la página específica
-    this.page = await this.pdfDoc.getPage(num);
-
-    // Ajustar la escala basada en el DPI del dispositivo
-    const pixelRatio = window.devicePixelRatio || 1;
-    const scaledViewport = this.page.getViewport({ scale: this.scale * pixelRatio });
-
-    // Ajustar las dimensiones del canvas
-    this.canvas.height = scaledViewport.height;
-    this.canvas.width = scaledViewport.width;
-    this.canvas.style.width = `${scaledViewport.width / pixelRatio}px`;
-    this.canvas.style.height = `${scaledViewport.height / pixelRatio}px`;
+  async requestPassword(updatePassword, reason) {
+    const isIncorrect = reason === PasswordResponses.INCORRECT_PASSWORD;
+    const abortController = this.abortController;
 
-    const renderContext = {
-      canvasContext: this.ctx,
-      viewport: scaledViewport,
-      enableWebGL: true,
-      renderInteractiveForms: true,
-    };
+    if (typeof this.onPasswordRequest === 'function' && !this.isPasswordRequested) {
+      this.isPasswordRequested = true;
 
-    // Desactivar el suavizado de imágenes
-    this.ctx.imageSmoothingEnabled = false;
+      let password = null;
+      try {
+        password = await this.onPasswordRequest({ isIncorrect, fileName: this.fileName });
+      } catch (error) {
+        console.error('Error requesting the PDF password.', error);
+      }
 
-    const renderTask = this.page.render(renderContext);
-    await renderTask.promise;
+      // La carga pudo cancelarse mientras se obtenía la contraseña
+      if (abortController !== this.abortController) return;
 
-    this.pageRendering = false;
-    if (this.pageNumPending !== null) {
-      this.renderPage(this.pageNumPending);
-      this.pageNumPending = null;
+      if (typeof password === 'string') {
+        updatePassword(password);
+        return;
+      }
     }
 
-    this.container.querySelector('#page_num').textContent = num;
-    this.updateUI();
+    this.showPasswordPrompt(updatePassword, isIncorrect);
   }
 
   /**
-   * Cola la página para renderizarla. Si ya hay una página siendo renderizada,
-   * guarda el número de la página pendiente; de lo contrario, la renderiza inmediatamente.
-   * @param {number} num - El número de la página a renderizar.
+   * Muestra el formulario de contraseña en el área de carga.
+   * 
+   * @param {Function} updatePassword - La función de PDF.js que recibe la contraseña.
+   * @param {boolean} isIncorrect - Si la contraseña anterior fue incorrecta.
    * @returns {void}
    */
-  queueRenderPage(num) {
-    if (this.pageRendering) {
-      this.pageNumPending = num;
-    } else {
-      this.renderPage(num);
-    }
+  showPasswordPrompt(updatePassword, isIncorrect) {
+    const passwordInput = this.getElement('password-input');
+
+    this.updatePassword = updatePassword;
+    this.getElement('preloader').classList.add('pdf-visualizer-preloader-password');
+    this.getElement('password-label').textContent = isIncorrect ? this.titlePasswordIncorrect : this.titlePassword;
+    this.getElement('password-form').hidden = false;
+    passwordInput.value = '';
+    passwordInput.focus();
   }
 
   /**
-   * Navega a la página anterior del documento PDF.
-   *
-   * Este método realiza las siguientes acciones:
-   * - Verifica si se está renderizando una página actualmente. Si es así,
-   *   no hace nada.
-   * - Comprueba si la página actual es la primera. Si es así, no hace nada.
-   * - Decrementa el número de página actual y llama a la función para
-   *   renderizar la nueva página.
-   *
+   * Envía a PDF.js la contraseña escrita en el formulario y vuelve a mostrar el indicador de carga.
+   * 
    * @returns {void}
    */
-  onPrevPage() {
-    if (this.pageRendering) return;
+  submitPassword() {
+    const updatePassword = this.updatePassword;
+    if (!updatePassword) return;
 
-    if (this.pageNum <= 1) return;
-    this.pageNum--;
-    this.queueRenderPage(this.pageNum);
+    const passwordInput = this.getElement('password-input');
+    const password = passwordInput.value;
+
+    this.updatePassword = null;
+    passwordInput.value = '';
+    this.getElement('password-form').hidden = true;
+    this.getElement('preloader').classList.remove('pdf-visualizer-preloader-password');
+
+    updatePassword(password);
   }
 
   /**
-   * Navega a la siguiente página en la cola de renderizado.
+   * Cancela la descarga y la apertura del documento en curso, abortando
+   * la petición y la tarea de carga de PDF.js.
    * 
-   * Este método verifica si una página se está renderizando actualmente 
-   * y previene la navegación si es así. También comprueba si el número 
-   * de página actual es mayor o igual al número total de páginas en el 
-   * documento PDF, en cuyo caso no hace nada. Si se cumplen las condiciones, 
-   * incrementa el número de página y añade la nueva página a la cola para renderizado.
-   *
-   * @returns {void} Esta función no retorna ningún valor.
+   * @returns {void}
    */
-  onNextPage() {
-    if (this.pageRendering) return;
+  cancelLoading() {
+    if (!this.isLoading) return;
 
-    if (this.pageNum >= this.pdfDoc.numPages) return;
-    this.pageNum++;
-    this.queueRenderPage(this.pageNum);
+    this.abortController.abort();
+    this.loadingTask?.destroy();
+    this.updatePassword = null;
+    this.isLoading = false;
+    this.loadingTask = null;
+    this.abortController = null;
+    this.pageRendering = false;
   }
 
   /**
-   * Aumenta el nivel de zoom de la página actual.
+   * Lee el contenido de un origen de PDF y obtiene un nombre de archivo adecuado para él.
    * 
-   * Este método verifica si una página se está renderizando actualmente 
-   * y previene la acción si es así. Luego, comprueba si el nivel de 
-   * zoom actual es menor que 3.0. Si se cumplen estas condiciones, 
-   * incrementa el nivel de zoom en 0.1 (sin exceder 3.0), 
-   * añade la página actual a la cola para renderizado y actualiza la 
-   * información del zoom.
-   *
-   * @returns {void} Esta función no retorna ningún valor.
+   * Los textos que empiezan por `data:` con `;base64,` o por `JVBER` (la cabecera `%PDF`
+   * codificada en base64) se decodifican directamente; cualquier otro texto se trata como URL.
+   * Los datos binarios se copian para que PDF.js no deje inutilizable el buffer original al
+   * transferirlo al worker.
+   * 
+   * @param {string|Blob|ArrayBuffer|ArrayBufferView} source - El origen del PDF.
+   * @param {AbortSignal} [signal] - La señal para cancelar la descarga.
+   * @returns {Promise<{data: Uint8Array, fileName: string|null}>} Los bytes del PDF y su nombre de archivo, si se conoce.
+   * @throws {PDFVisualizerError} Si el origen no es válido o no se puede descargar.
    */
-  onZoomIn() {
-    if (this.pageRendering) return;
-    if (this.scale < 3.0) {
-      this.scale = Math.min(3.0, this.scale + 0.1);
-      this.queueRenderPage(this.pageNum);
-      this.updateZoomInfo();
+  async readSource(source, signal) {
+    if (source instanceof Blob) {
+      return {
+        data: new Uint8Array(await source.arrayBuffer()),
+        fileName: source instanceof File ? source.name : null,
+      };
+    }
+
+    if (source instanceof ArrayBuffer) {
+      return { data: new Uint8Array(source.slice(0)), fileName: null };
+    }
+
+    if (ArrayBuffer.isView(source)) {
+      return {
+        data: new Uint8Array(source.buffer.slice(source.byteOffset, source.byteOffset + source.byteLength)),
+        fileName: null,
+      };
+    }
+
+    if (typeof source !== 'string' || source.trim() === '') {
+      throw new PDFVisualizerError('The PDF source is not valid.', { kind: 'invalid-pdf' });
+    }
+
+    if (this.isBase64Source(source)) {
+      // Si el base64 empieza por `data:application/pdf;base64,` se toma el contenido después de la `,`
+      const base64 = source.substring(source.indexOf(',') + 1).replace(/\s/g, '');
+      try {
+        return {
+          data: Uint8Array.from(atob(base64), c => c.charCodeAt(0)),
+          fileName: null,
+        };
+      } catch (error) {
+        throw new PDFVisualizerError(this.getErrorMessage('invalid-pdf'), { kind: 'invalid-pdf', cause: error });
+      }
+    }
+
+    this.url = source;
+    // Fetch el PDF como un blob
+    let response;
+    try {
+      response = await fetch(this.url, {
+        method: 'GET',
+        headers: this.headers || {},
+        signal,
+      });
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      throw new PDFVisualizerError(this.getErrorMessage('network'), { kind: 'network', url: this.url, cause: error });
+    }
+
+    // Evitar entregar a PDF.js una página de error del servidor
+    if (!response.ok) {
+      throw new PDFVisualizerError(this.getErrorMessage('http', response.status), {
+        kind: 'http',
+        status: response.status,
+        url: this.url,
+      });
+    }
+
+    const pdfBuffer = await this.readResponse(response);
+
+    // Obtener el nombre del archivo
+    const contentDisposition = response.headers.get('Content-Disposition');
+    let fileName = null;
+
+    if (contentDisposition) {
+      fileName = contentDisposition
+        .split(';')
+        .find(n => n.includes('filename=')) // Buscar la parte que contiene el nombre del archivo
+        ?.split('=')[1] // Obtener el valor después del "="
+        .replaceAll('"', '') // Eliminar comillas dobles
+        .replace(/^UTF-8''/i, ''); // Eliminar el prefijo "UTF-8''" si está presente
+
+      // Decodificar el nombre del archivo si está codificado
+      fileName = fileName ? decodeURIComponent(fileName) : null;
+    }
+
+    // Usar el nombre de la URL si termina en .pdf
+    if (!fileName) {
+      fileName = this.getPdfFileNameFromUrl(this.url);
     }
+
+    return { data: pdfBuffer, fileName };
   }
 
   /**
-   * Disminuye el nivel de zoom de la página actual.
+   * Verifica si un texto es un PDF en base64: un data URI con `;base64,` o un texto
+   * que empieza por `JVBER`, la cabecera `%PDF` codificada en base64.
    * 
-   * Este método verifica si una página se está renderizando actualmente 
-   * y previene la acción si es así. Luego, comprueba si el nivel de 
-   * zoom actual es mayor que 0.5. Si se cumplen estas condiciones, 
-   * disminuye el nivel de zoom en 0.1 (sin caer por debajo de 0.5), 
-   * añade la página actual a la cola para renderizado y actualiza la 
-   * información del zoom.
-   *
-   * @returns {void} Esta función no retorna ningún valor.
+   * @param {string} source - El texto a comprobar.
+   * @returns {boolean} True si el texto es un PDF en base64, false si es una URL.
    */
-  onZoomOut() {
-    if (this.pageRendering) return;
-
-    if (this.scale > 0.5) {
-      this.scale = Math.max(0.5, this.scale - 0.1);
-      this.queueRenderPage(this.pageNum);
-      this.updateZoomInfo();
-    }
+  isBase64Source(source) {
+    return /^data:[^,]*;base64,/i.test(source) || /^JVBER[A-Za-z0-9+/=\s]*$/.test(source);
   }
 
   /**
-   * Actualiza la información del nivel de zoom en el contenedor.
+   * Obtiene el nombre del archivo de una URL solo si termina en `.pdf`.
+   * 
+   * @param {string} url - La URL del documento.
+   * @returns {string|null} El nombre del archivo o null si la URL no termina en `.pdf`.
+   */
+  getPdfFileNameFromUrl(url) {
+    const fileName = this.getFileNameFromUrl(url);
+    return fileName && /\.pdf$/i.test(fileName) ? fileName : null;
+  }
+
+  /**
+   * Obtiene la URL temporal del documento actual, creándola la primera vez que se
+   * necesita. En modo de rangos, `getData()` termina de descargar el archivo.
+   * 
+   * `getData()` retorna los bytes originales, por lo que un documento protegido se
+   * descarga e imprime cifrado y sigue pidiendo su contraseña. Si el usuario rellenó
+   * campos de formulario, el documento se genera con `saveDocument()` para incluirlos.
+   * 
+   * @returns {Promise<string>} La URL del objeto `Blob` con los bytes del documento.
+   */
+  async getPdfUrl() {
+    if (!this.pdfUrl) {
+      const pdfDoc = this.pdfDoc;
+      const arrayBuffer = pdfDoc.annotationStorage.size > 0 ? await pdfDoc.saveDocument() : await pdfDoc.getData();
+
+      // El documento pudo cambiar mientras se obtenían los datos
+      if (this.pdfDoc !== pdfDoc) throw new Error('The PDF document changed.');
+
+      // Convertir el ArrayBuffer a un Blob
+      const pdfBlob = new Blob([arrayBuffer], { type: 'application/pdf' });
+      this.pdfUrl = URL.createObjectURL(pdfBlob);
+    }
+    return this.pdfUrl;
+  }
+
+  /**
+   * Lee el cuerpo de una respuesta por partes para informar del progreso de la descarga.
+   * 
+   * El total se toma de `Content-Length`; si no está disponible, o la respuesta está
+   * comprimida y no corresponde a los bytes leídos, el progreso es indeterminado.
+   * 
+   * @param {Response} response - La respuesta de la petición del PDF.
+   * @returns {Promise<Uint8Array>} Los bytes del cuerpo de la respuesta.
+   */
+  async readResponse(response) {
+    const contentLength = Number(response.headers.get('Content-Length'));
+    const total = contentLength > 0 && !response.headers.get('Content-Encoding') ? contentLength : null;
+
+    if (!response.body) {
+      const data = new Uint8Array(await response.arrayBuffer());
+      this.updateProgress(data.byteLength, data.byteLength);
+      return data;
+    }
+
+    const reader = response.body.getReader();
+    const chunks = [];
+    let loaded = 0;
+
+    this.updateProgress(0, total);
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      chunks.push(value);
+      loaded += value.byteLength;
+      this.updateProgress(loaded, total);
+    }
+
+    // Unir las partes en un único buffer
+    const data = new Uint8Array(loaded);
+    let offset = 0;
+    chunks.forEach(chunk => {
+      data.set(chunk, offset);
+      offset += chunk.byteLength;
+    });
+    return data;
+  }
+
+  /**
+   * Actualiza la barra de progreso de la descarga y ejecuta `onProgress`.
+   * 
+   * @param {number} loaded - Los bytes recibidos.
+   * @param {number|null} total - El total de bytes, o null si no se conoce.
+   * @returns {void}
+   */
+  updateProgress(loaded, total) {
+    const progress = this.getElement('progress');
+    const progressBar = this.getElement('progress-bar');
+    const isDeterminate = total !== null && loaded <= total;
+
+    progress.hidden = false;
+    progress.classList.toggle('pdf-visualizer-progress-indeterminate', !isDeterminate);
+
+    if (isDeterminate) {
+      const percent = Math.round((loaded / total) * 100);
+      progressBar.style.width = `${percent}%`;
+      progress.setAttribute('aria-valuenow', String(percent));
+      this.getElement('preloader-text').textContent = `${this.titleLoading} ${percent}%`;
+    } else {
+      progressBar.style.width = '';
+      progress.removeAttribute('aria-valuenow');
+    }
+
+    if (typeof this.onProgress === 'function') {
+      this.onProgress({ loaded, total: isDeterminate ? total : null });
+    }
+  }
+
+  /**
+   * Obtiene el mensaje localizado de un tipo de error.
+   * 
+   * @param {string} kind - El tipo de error: 'network', 'http', 'invalid-pdf', 'password', 'abort' o 'unknown'.
+   * @param {number|null} [status=null] - El estado HTTP que reemplaza `{status}` en el mensaje.
+   * @returns {string} El mensaje del error.
+   */
+  getErrorMessage(kind, status = null) {
+    const messages = {
+      'network': this.titleErrorNetwork,
+      'http': this.titleErrorHttp,
+      'invalid-pdf': this.titleErrorInvalidPdf,
+      'password': this.titleErrorPassword,
+      'abort': this.titleLoadingCancelled,
+    };
+
+    return (messages[kind] || this.titleErrorUnknown).replace('{status}', status === null ? '' : String(status));
+  }
+
+  /**
+   * Convierte cualquier error de carga en un `PDFVisualizerError`, clasificando
+   * las excepciones de PDF.js por su nombre.
+   * 
+   * @param {*} error - El error original.
+   * @returns {PDFVisualizerError} El error con su tipo y mensaje localizado.
+   */
+  toVisualizerError(error) {
+    if (error instanceof PDFVisualizerError) return error;
+
+    let kind = 'unknown';
+    let status = null;
+    if (error?.name === 'PasswordException') {
+      kind = 'password';
+    } else if (error?.name === 'InvalidPDFException') {
+      kind = 'invalid-pdf';
+    } else if (error?.name === 'MissingPDFException') {
+      // Respuestas de error de las peticiones que hace PDF.js en modo de rangos
+      kind = 'http';
+      status = error.status || null;
+    } else if (error?.name === 'UnexpectedResponseException') {
+      kind = error.status ? 'http' : 'network';
+      status = error.status || null;
+    }
+
+    return new PDFVisualizerError(this.getErrorMessage(kind, status), { kind, status, url: this.url, cause: error });
+  }
+
+  /**
+   * Notifica un error de carga con `onError` y lo muestra en el área de carga junto al botón de reintentar.
+   * 
+   * @param {*} error - El error producido.
+   * @returns {void}
+   */
+  handleError(error) {
+    const pdfError = this.toVisualizerError(error);
+
+    // Cancelar la carga no es un error que deba notificarse
+    if (typeof this.onError === 'function' && pdfError.kind !== 'abort') {
+      this.onError(pdfError.message, pdfError);
+    }
+    this.showError(pdfError);
+  }
+
+  /**
+   * Muestra el indicador de carga en el área de carga.
+   * 
+   * @returns {void}
+   */
+  showLoading() {
+    const preloader = this.getElement('preloader');
+
+    preloader.classList.remove('pdf-visualizer-preloader-error', 'pdf-visualizer-preloader-password');
+    preloader.style.display = 'flex';
+    this.getElement('password-form').hidden = true;
+    this.getElement('preloader-text').textContent = this.titleLoading;
+    this.getElement('progress').hidden = true;
+    this.getElement('progress-bar').style.width = '0%';
+    this.getElement('retry').hidden = true;
+    this.getElement('cancel').hidden = false;
+  }
+
+  /**
+   * Muestra el mensaje de un error en el área de carga junto al botón de reintentar.
+   * 
+   * @param {*} error - El error producido.
+   * @returns {void}
+   */
+  showError(error) {
+    // El error pudo producirse antes de crear el visor
+    if (!this.container) return;
+
+    const preloader = this.getElement('preloader');
+
+    preloader.classList.remove('pdf-visualizer-preloader-password');
+    preloader.classList.add('pdf-visualizer-preloader-error');
+    preloader.style.display = 'flex';
+    this.getElement('password-form').hidden = true;
+    this.getElement('preloader-text').textContent = this.toVisualizerError(error).message;
+    this.getElement('progress').hidden = true;
+    this.getElement('retry').hidden = false;
+    this.getElement('cancel').hidden = true;
+  }
+
+  /**
+   * Vuelve a cargar el último documento cuya carga falló.
+   * 
+   * @returns {Promise<void>} Una promesa que se resuelve cuando el documento se ha cargado o la carga ha vuelto a fallar.
+   */
+  async retry() {
+    if (!this.isOpening || this.isClosing || this.pageRendering || this.source === null) return;
+
+    if (this.pdfDoc) {
+      this.pdfDoc.destroy();
+      this.pdfDoc = null;
+    }
+
+    this.showLoading();
+
+    try {
+      await this.loadPDF(this.source);
+    } catch (error) {
+      this.handleError(error);
+    }
+  }
+
+  /**
+   * Renderiza la página PDF especificada por el número.
+   * @param {number} num - El número de la página a renderizar.
+   * @returns {Promise<void>} Una promesa que se resuelve cuando la página se ha renderizado.
+   * @throws {Error} Si no se puede obtener o renderizar la página, por ejemplo porque el documento se cerró.
+   */
+  async renderPage(num) {
+    this.pageRendering = true;
+
+    try {
+      // Obtener la página específica
+      this.page = await this.pdfDoc.getPage(num);
+      const annotationMode = await this.getPageAnnotationMode(this.page);
+
+      // Mantener el modo de ajuste del zoom con el tamaño de la nueva página
+      if (this.updateZoomModeScale()) {
+        this.updateZoomInfo();
+      }
+
+      // Ajustar la escala basada en el DPI del dispositivo
+      const pixelRatio = window.devicePixelRatio || 1;
+      const scaledViewport = this.getPageViewport(this.page, this.scale * pixelRatio);
+
+      // Ajustar las dimensiones del canvas
+      this.canvas.height = scaledViewport.height;
+      this.canvas.width = scaledViewport.width;
+      this.canvas.style.width = `${scaledViewport.width / pixelRatio}px`;
+      this.canvas.style.height = `${scaledViewport.height / pixelRatio}px`;
+
+      // Ajustar el contenedor de la página, que también aloja la capa de texto
+      this.pageView.num = num;
+      this.pageView.page = this.page;
+      this.pageView.element.style.width = this.canvas.style.width;
+      this.pageView.element.style.height = this.canvas.style.height;
+      this.pageView.element.style.setProperty('--scale-factor', String(this.scale));
+
+      // Mantener fijo el punto sobre el que se hizo zoom
+      this.applyZoomAnchor();
+
+      const renderContext = {
+        canvasContext: this.ctx,
+        viewport: scaledViewport,
+        enableWebGL: true,
+        annotationMode,
+      };
+
+      // Desactivar el suavizado de imágenes
+      this.ctx.imageSmoothingEnabled = false;
+
+      const renderTask = this.page.render(renderContext);
+      await renderTask.promise;
+
+      // Superponer o reajustar las capas de texto y enlaces
+      this.renderPageLayers(this.pageView);
+    } catch (error) {
+      // El documento pudo cerrarse o la página fallar; solo siguen esperando las esperas de la página pendiente
+      this.pageRenderWaiters = this.pageRenderWaiters.filter(waiter => {
+        if (waiter.num === this.pageNumPending) return true;
+        waiter.reject(error);
+        return false;
+      });
+      throw error;
+    } finally {
+      this.pageRendering = false;
+
+      if (this.pageNumPending !== null && this.pdfDoc) {
+        const pending = this.pageNumPending;
+        this.pageNumPending = null;
+        this.renderPage(pending).catch(error => console.error(error));
+      }
+    }
+
+    this.updatePageNumber();
+    this.updateUI();
+
+    // Aplicar el desplazamiento del destino al que se navegó
+    this.applyPendingDestination();
+
+    // Resolver las esperas de `goToPage` de esta página o de páginas que ya no se mostrarán
+    this.pageRenderWaiters = this.pageRenderWaiters.filter(waiter => {
+      if (waiter.num !== num && waiter.num === this.pageNum) return true;
+      waiter.resolve();
+      return false;
+    });
+  }
+
+  /**
+   * Navega a una página del documento.
+   * 
+   * @param {number} num - El número de la página, empezando en 1.
+   * @returns {Promise<void>} Una promesa que se resuelve cuando la página se ha renderizado, o
+   * cuando se navega a otra página antes de que termine de renderizarse.
+   * @throws {RangeError} Si la página no existe en el documento.
+   */
+  async goToPage(num) {
+    if (!this.pdfDoc) {
+      throw new Error('There is no PDF document loaded.');
+    }
+    if (!Number.isInteger(num) || num < 1 || num > this.pdfDoc.numPages) {
+      throw new RangeError(`The page ${num} does not exist in the document.`);
+    }
+
+    this.pageNum = num;
+
+    if (this.isContinuous()) {
+      this.queueRenderPage(num);
+
+      // La página se empieza a renderizar al desplazarse hasta ella, tras cargarse si aún no lo está
+      const pageView = this.pageViews[num - 1];
+      if (pageView.pendingRender) {
+        await pageView.pendingRender.catch(() => {});
+      }
+      if (pageView.renderTask) {
+        await pageView.renderTask.promise.catch(() => {});
+      }
+      return;
+    }
+
+    await new Promise((resolve, reject) => {
+      this.pageRenderWaiters.push({ num, resolve, reject });
+      this.queueRenderPage(num);
+    });
+  }
+
+  /**
+   * Obtiene el número de página que corresponde al texto escrito en el indicador
+   * de página: primero se busca entre las etiquetas de las páginas y después se
+   * interpreta como número.
+   * 
+   * @param {string} value - El texto escrito.
+   * @returns {number|null} El número de la página, o null si no existe.
+   */
+  parsePageInput(value) {
+    const text = value.trim();
+    if (!text) return null;
+
+    const labelIndex = this.pageLabels ? this.pageLabels.indexOf(text) : -1;
+    if (labelIndex !== -1) return labelIndex + 1;
+
+    if (!/^\d+$/.test(text)) return null;
+
+    const num = Number(text);
+    return num >= 1 && num <= this.pdfDoc.numPages ? num : null;
+  }
+
+  /**
+   * Navega a la página escrita en el indicador de página, o lo marca como no válido.
+   * 
+   * @returns {void}
+   */
+  onPageInput() {
+    if (!this.pdfDoc) return;
+
+    const pageInput = this.getElement('page_num');
+    const num = this.parsePageInput(pageInput.value);
+
+    if (num === null) {
+      pageInput.classList.add('page-input-invalid');
+      pageInput.setAttribute('aria-invalid', 'true');
+      pageInput.select();
+      return;
+    }
+
+    this.goToPage(num).catch(error => console.error(error));
+    this.updatePageNumber(true);
+    pageInput.select();
+  }
+
+  /**
+   * Muestra en el indicador la página actual, con su etiqueta si el documento
+   * las define, y el total de páginas.
+   * 
+   * @param {boolean} [force=false] - Si se actualiza el campo aunque el usuario esté escribiendo en él.
+   * @returns {void}
+   */
+  updatePageNumber(force = false) {
+    if (!this.pdfDoc) return;
+
+    const pageInput = this.getElement('page_num');
+    const numPages = this.pdfDoc.numPages;
+    const label = this.pageLabels?.[this.pageNum - 1];
+
+    if (force || document.activeElement !== pageInput) {
+      pageInput.value = label || String(this.pageNum);
+      pageInput.classList.remove('page-input-invalid');
+      pageInput.removeAttribute('aria-invalid');
+    }
+
+    // Con etiquetas, se muestra también la posición real de la página
+    this.getElement('page_count').textContent = label && label !== String(this.pageNum)
+      ? `${numPages} (${this.pageNum})`
+      : String(numPages);
+  }
+
+  /**
+   * Cola la página para renderizarla. Si ya hay una página siendo renderizada,
+   * guarda el número de la página pendiente; de lo contrario, la renderiza inmediatamente.
+   * @param {number} num - El número de la página a renderizar.
+   * @returns {void}
+   */
+  queueRenderPage(num) {
+    if (this.isContinuous()) {
+      this.renderContinuousPage(num);
+      return;
+    }
+
+    if (this.pageRendering) {
+      this.pageNumPending = num;
+    } else {
+      this.renderPage(num).catch(error => console.error(error));
+    }
+  }
+
+  /**
+   * Indica si el visor está en modo de desplazamiento continuo.
+   * 
+   * @returns {boolean} True si todas las páginas se muestran una debajo de otra.
+   */
+  isContinuous() {
+    return this.viewMode === 'continuous';
+  }
+
+  /**
+   * Prepara el modo continuo creando un marcador de posición por cada página
+   * del documento y renderiza las páginas cercanas a la zona visible de
+   * `#pdf-body`. Solo se espera a la primera página, cuyo tamaño toman los
+   * marcadores hasta que el resto de páginas se cargan en segundo plano.
+   * 
+   * @returns {Promise<void>} Una promesa que se resuelve cuando los marcadores de posición están listos.
+   */
+  async setupContinuousPages() {
+    const pdfDoc = this.pdfDoc;
+    const firstPage = await pdfDoc.getPage(1);
+
+    this.pageViews = [];
+    this.pagesContainer.innerHTML = '';
+
+    for (let num = 1; num <= pdfDoc.numPages; num++) {
+      const page = num === 1 ? firstPage : null;
+
+      const element = document.createElement('div');
+      element.className = 'pdf-visualizer-page';
+      element.dataset.pageNumber = String(num);
+      this.pagesContainer.appendChild(element);
+
+      this.pageViews.push({
+        num,
+        page,
+        element,
+        canvas: null,
+        renderTask: null,
+        renderedScale: null,
+        textLayer: null,
+        textLayerPage: null,
+        annotationLayerPage: null,
+        annotationLayerRotation: null,
+        annotationMode: null,
+        pendingRender: null,
+        markupLayerPage: null,
+        markupLayerRotation: null,
+      });
+    }
+
+    // Calcular la escala del modo de ajuste del zoom con la primera página
+    if (this.updateZoomModeScale()) {
+      this.updateZoomInfo();
+    }
+
+    this.layoutPages();
+    this.updateVisiblePages();
+
+    this.loadContinuousPages(pdfDoc).catch(error => console.error(error));
+  }
+
+  /**
+   * Carga una a una, en segundo plano, las páginas del modo continuo que aún
+   * no se han cargado para ajustar sus marcadores de posición a su tamaño real.
+   * 
+   * @param {PDFDocumentProxy} pdfDoc - El documento cuyas páginas se cargan.
+   * @returns {Promise<void>} Una promesa que se resuelve cuando todas las páginas están cargadas.
+   */
+  async loadContinuousPages(pdfDoc) {
+    const pageViews = this.pageViews;
+
+    for (const pageView of pageViews) {
+      if (pageView.page) continue;
+
+      const page = await pdfDoc.getPage(pageView.num);
+
+      // El documento pudo cerrarse o el modo continuo volver a prepararse
+      if (this.pdfDoc !== pdfDoc || this.pageViews !== pageViews) return;
+
+      if (!pageView.page) {
+        this.setPageViewPage(pageView, page);
+      }
+    }
+  }
+
+  /**
+   * Asigna a una página del modo continuo su página de PDF.js y ajusta su
+   * marcador de posición al tamaño real. Si la página está por encima de la
+   * zona visible, se conserva la posición de lectura.
+   * 
+   * @param {Object} pageView - La página del modo continuo.
+   * @param {PDFPageProxy} page - La página de PDF.js.
+   * @returns {void}
+   */
+  setPageViewPage(pageView, page) {
+    const pdfBody = this.getElement('pdf-body');
+    const viewport = this.getPageViewport(page, this.layoutScale);
+    const { element } = pageView;
+    const oldHeight = element.offsetHeight;
+    const isAbove = element.offsetTop + oldHeight <= pdfBody.scrollTop;
+
+    pageView.page = page;
+
+    if (element.style.width !== `${viewport.width}px` || element.style.height !== `${viewport.height}px`) {
+      element.style.width = `${viewport.width}px`;
+      element.style.height = `${viewport.height}px`;
+
+      if (isAbove) {
+        pdfBody.scrollTop += element.offsetHeight - oldHeight;
+      }
+      this.scheduleVisiblePagesUpdate();
+    }
+
+    // Un destino de esta página solo se puede aplicar con su tamaño real
+    this.applyPendingDestination();
+  }
+
+  /**
+   * Ajusta el tamaño de los marcadores de posición de todas las páginas a la
+   * escala actual. Los lienzos renderizados con otra escala se estiran por CSS
+   * hasta que se vuelven a renderizar.
+   * 
+   * @returns {void}
+   */
+  layoutPages() {
+    // Las páginas que aún no se han cargado toman el tamaño de la primera
+    const firstPage = this.pageViews[0]?.page;
+
+    this.pageViews.forEach(pageView => {
+      const viewport = this.getPageViewport(pageView.page || firstPage);
+      pageView.element.style.width = `${viewport.width}px`;
+      pageView.element.style.height = `${viewport.height}px`;
+      pageView.element.style.setProperty('--scale-factor', String(this.scale));
+    });
+    this.layoutScale = this.scale;
+  }
+
+  /**
+   * Renderiza en modo continuo la página indicada. Si la escala cambió, se
+   * reorganizan los marcadores de posición manteniendo el punto de lectura;
+   * si la página no es la que está a la vista, se desplaza hasta ella.
+   * 
+   * @param {number} num - El número de la página a mostrar.
+   * @returns {void}
+   */
+  renderContinuousPage(num) {
+    const pdfBody = this.getElement('pdf-body');
+
+    if (this.layoutScale !== this.scale) {
+      // Conservar la posición relativa dentro de la página visible
+      const current = this.pageViews[this.getPageInView() - 1];
+      const offset = (pdfBody.scrollTop - current.element.offsetTop) / current.element.offsetHeight;
+      const ratio = this.scale / this.layoutScale;
+
+      this.layoutPages();
+
+      pdfBody.scrollTop = current.element.offsetTop + offset * current.element.offsetHeight;
+      pdfBody.scrollLeft = pdfBody.scrollLeft * ratio;
+    }
+
+    if (this.zoomAnchor) {
+      // Mantener fijo el punto sobre el que se hizo zoom
+      this.applyZoomAnchor();
+    } else if (this.getPageInView() !== num) {
+      this.scrollToPage(num);
+    }
+
+    this.updateVisiblePages();
+  }
+
+  /**
+   * Desplaza `#pdf-body` hasta el inicio de la página indicada.
+   * 
+   * @param {number} num - El número de la página.
+   * @returns {void}
+   */
+  scrollToPage(num) {
+    const pageView = this.pageViews[num - 1];
+    if (!pageView) return;
+
+    this.getElement('pdf-body').scrollTop = pageView.element.offsetTop;
+  }
+
+  /**
+   * Obtiene el número de la página que ocupa la mayor parte de la zona visible
+   * de `#pdf-body`.
+   * 
+   * @returns {number} El número de la página a la vista.
+   */
+  getPageInView() {
+    const pdfBody = this.getElement('pdf-body');
+    const top = pdfBody.scrollTop;
+    const bottom = top + pdfBody.clientHeight;
+
+    let pageInView = this.pageNum;
+    let maxVisibleHeight = 0;
+
+    this.pageViews.forEach(pageView => {
+      const pageTop = pageView.element.offsetTop;
+      const pageBottom = pageTop + pageView.element.offsetHeight;
+      const visibleHeight = Math.min(bottom, pageBottom) - Math.max(top, pageTop);
+
+      if (visibleHeight > maxVisibleHeight) {
+        maxVisibleHeight = visibleHeight;
+        pageInView = pageView.num;
+      }
+    });
+
+    return pageInView;
+  }
+
+  /**
+   * Agrupa las actualizaciones de páginas visibles en un solo cuadro de
+   * animación para no recalcular en cada evento de desplazamiento.
+   * 
+   * @returns {void}
+   */
+  scheduleVisiblePagesUpdate() {
+    if (this.isVisiblePagesUpdatePending) return;
+
+    this.isVisiblePagesUpdatePending = true;
+    requestAnimationFrame(() => {
+      this.isVisiblePagesUpdatePending = false;
+      this.updateVisiblePages();
+    });
+  }
+
+  /**
+   * Renderiza las páginas que están a la vista o cerca de ella (una altura de
+   * `#pdf-body` por encima y por debajo), libera los lienzos de las páginas
+   * lejanas y actualiza el indicador de página con la página a la vista.
+   * 
+   * @returns {void}
+   */
+  updateVisiblePages() {
+    if (!this.pdfDoc || this.pageViews.length === 0) return;
+
+    const pdfBody = this.getElement('pdf-body');
+    const margin = pdfBody.clientHeight;
+    const top = pdfBody.scrollTop - margin;
+    const bottom = pdfBody.scrollTop + pdfBody.clientHeight + margin;
+
+    this.pageViews.forEach(pageView => {
+      const pageTop = pageView.element.offsetTop;
+      const pageBottom = pageTop + pageView.element.offsetHeight;
+
+      if (pageBottom >= top && pageTop <= bottom) {
+        this.renderPageView(pageView);
+      } else {
+        this.releasePageView(pageView);
+      }
+    });
+
+    this.pageNum = this.getPageInView();
+    this.updatePageNumber();
+    this.updateUI();
+  }
+
+  /**
+   * Renderiza una página del modo continuo en su propio lienzo, si aún no
+   * está renderizada con la escala actual.
+   * 
+   * @param {Object} pageView - La página del modo continuo a renderizar.
+   * @returns {Promise<void>} Una promesa que se resuelve cuando la página se ha renderizado.
+   */
+  async renderPageView(pageView) {
+    if (pageView.renderTask || pageView.pendingRender || pageView.renderedScale === this.scale) return;
+
+    // Cargar la página y elegir cómo se pintan sus campos de formulario antes del primer renderizado
+    if (!pageView.page || pageView.annotationMode === null) {
+      const pendingRender = this.preparePageView(pageView);
+      pageView.pendingRender = pendingRender;
+
+      try {
+        await pendingRender;
+      } catch (error) {
+        // La página pudo liberarse, o el documento cerrarse, mientras se cargaba
+        if (pageView.pendingRender === pendingRender) {
+          pageView.pendingRender = null;
+          console.error(`Error loading page ${pageView.num}.`, error);
+        }
+        return;
+      }
+
+      if (pageView.pendingRender !== pendingRender) return;
+      pageView.pendingRender = null;
+    }
+
+    // Ajustar la escala basada en el DPI del dispositivo
+    const pixelRatio = window.devicePixelRatio || 1;
+    const scale = this.scale;
+    const scaledViewport = this.getPageViewport(pageView.page, scale * pixelRatio);
+
+    const canvas = document.createElement('canvas');
+    canvas.height = scaledViewport.height;
+    canvas.width = scaledViewport.width;
+
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingEnabled = false;
+
+    const renderTask = pageView.page.render({
+      canvasContext: ctx,
+      viewport: scaledViewport,
+      enableWebGL: true,
+      annotationMode: pageView.annotationMode,
+    });
+    pageView.renderTask = renderTask;
+
+    try {
+      await renderTask.promise;
+    } catch (error) {
+      // El renderizado se cancela cuando la página deja de estar cerca de la vista
+      if (error.name !== 'RenderingCancelledException') {
+        console.error(`Error rendering page ${pageView.num}.`, error);
+      }
+      canvas.width = 0;
+      canvas.height = 0;
+      return;
+    } finally {
+      if (pageView.renderTask === renderTask) {
+        pageView.renderTask = null;
+      }
+    }
+
+    // Sustituir el lienzo anterior, que pudo renderizarse con otra escala
+    if (pageView.canvas) {
+      pageView.canvas.width = 0;
+      pageView.canvas.height = 0;
+      pageView.canvas.remove();
+    }
+
+    pageView.canvas = canvas;
+    pageView.renderedScale = scale;
+    pageView.element.prepend(canvas);
+
+    // Superponer o reajustar las capas de texto y enlaces
+    this.renderPageLayers(pageView);
+
+    // La escala pudo cambiar mientras se renderizaba
+    if (scale !== this.scale) {
+      this.renderPageView(pageView);
+    }
+  }
+
+  /**
+   * Carga la página de PDF.js de una página del modo continuo, si aún no se ha
+   * cargado, y el modo con el que se pintan sus anotaciones.
+   * 
+   * @param {Object} pageView - La página del modo continuo.
+   * @returns {Promise<void>} Una promesa que se resuelve cuando la página se puede renderizar.
+   */
+  async preparePageView(pageView) {
+    if (!pageView.page) {
+      const page = await this.pdfDoc.getPage(pageView.num);
+      if (!pageView.page) {
+        this.setPageViewPage(pageView, page);
+      }
+    }
+
+    if (pageView.annotationMode === null) {
+      pageView.annotationMode = await this.getPageAnnotationMode(pageView.page);
+    }
+  }
+
+  /**
+   * Cancela el renderizado y libera el lienzo de una página del modo continuo.
+   * 
+   * @param {Object} pageView - La página del modo continuo a liberar.
+   * @returns {void}
+   */
+  releasePageView(pageView) {
+    pageView.pendingRender = null;
+
+    if (pageView.renderTask) {
+      pageView.renderTask.cancel();
+      pageView.renderTask = null;
+    }
+
+    if (pageView.canvas) {
+      pageView.canvas.width = 0;
+      pageView.canvas.height = 0;
+      pageView.canvas.remove();
+      pageView.canvas = null;
+    }
+
+    pageView.renderedScale = null;
+    this.releasePageLayers(pageView);
+  }
+
+  /**
+   * Superpone al lienzo de una página sus capas interactivas.
+   * 
+   * @param {Object} pageView - La página sobre la que se colocan las capas.
+   * @returns {void}
+   */
+  renderPageLayers(pageView) {
+    this.renderTextLayer(pageView);
+    this.renderAnnotationLayer(pageView);
+    this.renderMarkupLayer(pageView);
+  }
+
+  /**
+   * Elimina las capas interactivas de una página.
+   * 
+   * @param {Object} pageView - La página cuyas capas se eliminan.
+   * @returns {void}
+   */
+  releasePageLayers(pageView) {
+    this.releaseTextLayer(pageView);
+    this.releaseAnnotationLayer(pageView);
+    this.releaseMarkupLayer(pageView);
+  }
+
+  /**
+   * Superpone a la página una capa de texto construida con `page.getTextContent()`,
+   * que permite seleccionar y copiar el texto del documento.
+   * 
+   * Si la capa ya existe para la misma página, solo se vuelve a maquetar con la
+   * escala actual (por ejemplo, después de un cambio de zoom). La capa usa la
+   * variable CSS `--scale-factor` del contenedor de la página y tiene en cuenta
+   * el `devicePixelRatio` al medir el texto.
+   * 
+   * @param {Object} pageView - La página sobre la que se coloca la capa de texto.
+   * @returns {Promise<void>} Una promesa que se resuelve cuando la capa de texto se ha renderizado.
+   */
+  async renderTextLayer(pageView) {
+    const page = pageView.page;
+
+    if (pageView.textLayerPage === page) {
+      pageView.textLayer?.update({ viewport: this.getPageViewport(page) });
+      return;
+    }
+
+    this.releaseTextLayer(pageView);
+    pageView.textLayerPage = page;
+
+    const textContent = await page.getTextContent();
+
+    // La página pudo cambiar o liberarse mientras se obtenía el texto
+    if (pageView.textLayerPage !== page) return;
+
+    const container = document.createElement('div');
+    container.className = 'textLayer';
+    pageView.element.appendChild(container);
+
+    pageView.textLayer = new TextLayer({
+      textContentSource: textContent,
+      container,
+      viewport: this.getPageViewport(page),
+    });
+
+    try {
+      await pageView.textLayer.render();
+    } catch (error) {
+      if (!(error instanceof AbortException)) {
+        console.error(`Error rendering the text layer of page ${pageView.num}.`, error);
+      }
+      return;
+    }
+
+    // Resaltar las coincidencias de la búsqueda activa
+    this.highlightSearchMatches(pageView);
+  }
+
+  /**
+   * Cancela y elimina la capa de texto de una página.
+   * 
+   * @param {Object} pageView - La página cuya capa de texto se elimina.
+   * @returns {void}
+   */
+  releaseTextLayer(pageView) {
+    if (pageView.textLayer) {
+      pageView.textLayer.cancel();
+      pageView.textLayer = null;
+    }
+
+    pageView.element.querySelector('.textLayer')?.remove();
+    pageView.textLayerPage = null;
+  }
+
+  /**
+   * Superpone a la página una capa con las anotaciones de tipo `Link` de
+   * `page.getAnnotations()`, convertidas en áreas en las que se puede hacer
+   * clic, y con los campos de formulario (`Widget`) convertidos en controles
+   * HTML que se pueden rellenar. Los elementos se posicionan en porcentajes de
+   * la página, por lo que acompañan a los cambios de zoom sin volver a construirse.
+   * 
+   * @param {Object} pageView - La página sobre la que se coloca la capa de enlaces.
+   * @returns {Promise<void>} Una promesa que se resuelve cuando la capa de enlaces se ha construido.
+   */
+  async renderAnnotationLayer(pageView) {
+    const page = pageView.page;
+    const viewport = this.getPageViewport(page, 1);
+    if (pageView.annotationLayerPage === page && pageView.annotationLayerRotation === viewport.rotation) return;
+
+    this.releaseAnnotationLayer(pageView);
+    pageView.annotationLayerPage = page;
+    pageView.annotationLayerRotation = viewport.rotation;
+
+    let annotations;
+    try {
+      annotations = await page.getAnnotations({ intent: 'display' });
+    } catch (error) {
+      console.error(`Error rendering the annotation layer of page ${pageView.num}.`, error);
+      return;
+    }
+
+    // La página pudo cambiar, girarse o liberarse mientras se obtenían las anotaciones
+    if (pageView.annotationLayerPage !== page || pageView.annotationLayerRotation !== viewport.rotation) return;
+
+    const container = document.createElement('div');
+    container.className = 'annotationLayer';
+
+    annotations
+      .filter(annotation => annotation.subtype === 'Link' && (annotation.url || annotation.dest || annotation.action))
+      .forEach(annotation => {
+        const link = document.createElement('a');
+        link.className = 'pdf-visualizer-link';
+        this.setAnnotationPosition(link, annotation, viewport);
+
+        if (annotation.url) {
+          link.href = annotation.url;
+          link.title = annotation.url;
+          link.target = '_blank';
+          link.rel = 'noopener noreferrer';
+        } else {
+          link.href = '#';
+        }
+
+        link.addEventListener('click', (e) => {
+          e.preventDefault();
+          this.onLinkAnnotationClick(annotation, pageView.num);
+        });
+
+        container.appendChild(link);
+      });
+
+    // Los campos solo se rellenan si la página se pintó sin ellos; los que PDF.js pinta siempre en el lienzo se omiten
+    if (this.hasFillableForm(annotations)) {
+      annotations
+        .filter(annotation => annotation.subtype === 'Widget' && !annotation.hidden && !annotation.noHTML && !annotation.hasOwnCanvas)
+        .forEach(annotation => {
+          const field = this.createFormField(annotation);
+          if (!field) return;
+
+          this.setAnnotationPosition(field, annotation, viewport);
+          container.appendChild(field);
+        });
+    }
+
+    pageView.element.appendChild(container);
+  }
+
+  /**
+   * Posiciona un elemento de la capa de enlaces sobre el rectángulo de una
+   * anotación, en porcentajes del tamaño de la página.
+   * 
+   * @param {HTMLElement} element - El elemento que se posiciona.
+   * @param {Object} annotation - La anotación de PDF.js.
+   * @param {PageViewport} viewport - La vista de la página a escala 1.
+   * @returns {void}
+   */
+  setAnnotationPosition(element, annotation, viewport) {
+    const [x1, y1, x2, y2] = viewport.convertToViewportRectangle(annotation.rect);
+
+    element.style.left = `${(100 * Math.min(x1, x2) / viewport.width).toFixed(4)}%`;
+    element.style.top = `${(100 * Math.min(y1, y2) / viewport.height).toFixed(4)}%`;
+    element.style.width = `${(100 * Math.abs(x2 - x1) / viewport.width).toFixed(4)}%`;
+    element.style.height = `${(100 * Math.abs(y2 - y1) / viewport.height).toFixed(4)}%`;
+  }
+
+  /**
+   * Obtiene el modo con el que se pintan las anotaciones de una página. Con
+   * `AnnotationMode.ENABLE_FORMS` PDF.js deja sin pintar en el lienzo los campos
+   * que espera mostrar en HTML, así que solo se usa en las páginas cuyos campos
+   * se pueden rellenar todos; el resto se pinta completo con `AnnotationMode.ENABLE`.
+   * 
+   * @param {PDFPageProxy} page - La página a renderizar.
+   * @returns {Promise<number>} Una promesa que se resuelve con el modo de anotaciones de PDF.js.
+   */
+  async getPageAnnotationMode(page) {
+    try {
+      const annotations = await page.getAnnotations({ intent: 'display' });
+      return this.hasFillableForm(annotations) ? AnnotationMode.ENABLE_FORMS : AnnotationMode.ENABLE;
+    } catch (error) {
+      console.error('Error loading the form fields of the page.', error);
+      return AnnotationMode.ENABLE;
+    }
+  }
+
+  /**
+   * Indica si una página tiene campos de formulario y el visor puede crear el
+   * control HTML de todos los que PDF.js no pinta en el lienzo con `ENABLE_FORMS`.
+   * 
+   * @param {Object[]} annotations - Las anotaciones de la página, de `page.getAnnotations()`.
+   * @returns {boolean} True si los campos de la página se pueden rellenar.
+   */
+  hasFillableForm(annotations) {
+    const fields = annotations.filter(annotation => annotation.subtype === 'Widget' && annotation.fieldType !== 'Sig' && !annotation.noHTML && !annotation.hasOwnCanvas);
+    return fields.length > 0 && fields.every(annotation => this.isFillableWidget(annotation));
+  }
+
+  /**
+   * Indica si el visor sabe crear el control HTML de un campo de formulario.
+   * 
+   * @param {Object} annotation - La anotación `Widget` de PDF.js.
+   * @returns {boolean} True si el campo es un cuadro de texto, una casilla, un botón de opción o una lista.
+   */
+  isFillableWidget(annotation) {
+    return ['Tx', 'Ch'].includes(annotation.fieldType) || (annotation.fieldType === 'Btn' && (annotation.checkBox || annotation.radioButton));
+  }
+
+  /**
+   * Crea el control HTML de un campo de formulario: un cuadro de texto, una
+   * casilla, un botón de opción o una lista desplegable. El valor inicial se
+   * toma del almacén de anotaciones de PDF.js si el usuario ya lo cambió y, si
+   * no, del propio documento. Cada cambio se guarda de nuevo en el almacén.
+   * 
+   * @param {Object} annotation - La anotación `Widget` de PDF.js.
+   * @returns {HTMLElement|null} El control creado o null si el tipo de campo no se puede rellenar.
+   */
+  createFormField(annotation) {
+    const storedValue = this.pdfDoc.annotationStorage.getRawValue(annotation.id)?.value;
+    const name = annotation.fieldName;
+    let field;
+
+    if (annotation.fieldType === 'Tx') {
+      field = document.createElement(annotation.multiLine ? 'textarea' : 'input');
+      field.value = storedValue ?? annotation.fieldValue ?? '';
+      if (annotation.maxLen) field.maxLength = annotation.maxLen;
+      field.style.textAlign = ['left', 'center', 'right'][annotation.textAlignment] || 'left';
+      field.addEventListener('input', () => this.setFormFieldValue(name, field.value));
+    } else if (annotation.fieldType === 'Btn' && annotation.checkBox) {
+      field = document.createElement('input');
+      field.type = 'checkbox';
+      field.checked = storedValue ?? annotation.fieldValue === annotation.exportValue;
+      field.addEventListener('change', () => this.setFormFieldValue(name, field.checked ? annotation.exportValue : false));
+    } else if (annotation.fieldType === 'Btn' && annotation.radioButton) {
+      field = document.createElement('input');
+      field.type = 'radio';
+      field.name = this.getElementId(`field-${name}`);
+      field.checked = storedValue ?? annotation.fieldValue === annotation.buttonValue;
+      field.addEventListener('change', () => this.setFormFieldValue(name, annotation.buttonValue));
+    } else if (annotation.fieldType === 'Ch') {
+      field = document.createElement('select');
+      field.multiple = !annotation.combo && annotation.multiSelect;
+      if (!annotation.combo) field.size = Math.max(annotation.options.length, 2);
+
+      const selected = [].concat(storedValue ?? annotation.fieldValue ?? []);
+      annotation.options.forEach(({ exportValue, displayValue }) => {
+        const option = new Option(displayValue, exportValue);
+        option.selected = selected.includes(exportValue);
+        field.appendChild(option);
+      });
+
+      field.addEventListener('change', () => {
+        const values = Array.from(field.selectedOptions, option => option.value);
+        this.setFormFieldValue(name, field.multiple ? values : field.value);
+      });
+    } else {
+      return null;
+    }
+
+    field.classList.add('pdf-visualizer-field');
+    field.dataset.annotationId = annotation.id;
+    field.disabled = annotation.readOnly;
+    field.setAttribute('aria-label', annotation.alternativeText || name);
+
+    // Ajustar el tamaño de la letra al del campo; un tamaño 0 significa automático
+    if (field.type !== 'checkbox' && field.type !== 'radio') {
+      const height = Math.abs(annotation.rect[3] - annotation.rect[1]);
+      const fontSize = annotation.defaultAppearanceData?.fontSize || Math.min(12, height * 0.7);
+      field.style.fontSize = `calc(var(--scale-factor) * ${fontSize}px)`;
+    }
+
+    return field;
+  }
+
+  /**
+   * Elimina la capa de enlaces de una página.
+   * 
+   * @param {Object} pageView - La página cuya capa de enlaces se elimina.
+   * @returns {void}
+   */
+  releaseAnnotationLayer(pageView) {
+    pageView.element.querySelector('.annotationLayer')?.remove();
+    pageView.annotationLayerPage = null;
+    pageView.annotationLayerRotation = null;
+  }
+
+  /**
+   * Obtiene los controles de un campo de formulario en todo el documento. Un
+   * campo puede tener varios controles, como los botones de un grupo de opciones.
+   * 
+   * @param {string} name - El nombre completo del campo.
+   * @returns {Promise<Object[]>} Los controles del campo según `getFieldObjects()`.
+   */
+  async getFormWidgets(name) {
+    const fieldObjects = await this.pdfDoc.getFieldObjects();
+    return (fieldObjects?.[name] || []).filter(object => FORM_FIELD_TYPES.includes(object.type));
+  }
+
+  /**
+   * Obtiene el valor de un control de formulario: el que guardó el usuario en el
+   * almacén de anotaciones o, si no, el del documento.
+   * 
+   * @param {Object} widget - El control según `getFieldObjects()`.
+   * @returns {string|boolean|string[]|null} El valor del control.
+   */
+  getFormWidgetValue(widget) {
+    const storedValue = this.pdfDoc.annotationStorage.getRawValue(widget.id)?.value;
+    if (storedValue !== undefined) return storedValue;
+
+    switch (widget.type) {
+      case 'checkbox':
+      case 'radiobutton':
+        return widget.value === widget.exportValues;
+      case 'listbox':
+        return widget.multipleSelection ? [].concat(widget.value ?? []) : widget.value;
+      default:
+        return widget.value;
+    }
+  }
+
+  /**
+   * Obtiene los valores de los campos de formulario del documento, incluidos
+   * los cambios del usuario, indexados por el nombre completo de cada campo.
+   * 
+   * - Cuadros de texto: el texto.
+   * - Casillas: `true` o `false`. Si los controles de la casilla tienen distintos
+   *   valores de exportación, el valor de exportación del control marcado o `null`.
+   * - Grupos de opciones: el valor de exportación de la opción marcada o `null`.
+   * - Listas: el valor de exportación elegido o, en las de selección múltiple, un array.
+   * 
+   * @returns {Promise<Object<string, string|boolean|string[]|null>>} Los valores de los campos.
+   */
+  async getFormValues() {
+    if (!this.pdfDoc) return {};
+
+    const fieldObjects = await this.pdfDoc.getFieldObjects() || {};
+    const values = {};
+
+    Object.keys(fieldObjects).forEach(name => {
+      const widgets = fieldObjects[name].filter(object => FORM_FIELD_TYPES.includes(object.type));
+      if (widgets.length === 0) return;
+
+      if (widgets[0].type === 'checkbox' && this.hasDistinctExportValues(widgets)) {
+        values[name] = widgets.find(widget => this.getFormWidgetValue(widget))?.exportValues ?? null;
+      } else if (widgets[0].type === 'checkbox') {
+        values[name] = widgets.some(widget => this.getFormWidgetValue(widget));
+      } else if (widgets[0].type === 'radiobutton') {
+        values[name] = widgets.find(widget => this.getFormWidgetValue(widget))?.exportValues ?? null;
+      } else {
+        values[name] = this.getFormWidgetValue(widgets[0]);
+      }
+    });
+
+    return values;
+  }
+
+  /**
+   * Cambia los valores de los campos de formulario del documento. Los valores
+   * tienen el mismo formato que los de `getFormValues()`; en las casillas también
+   * se acepta un valor de exportación, que marca solo los controles con ese valor.
+   * En las casillas cuyos controles tienen distintos valores de exportación, `true`
+   * marca solo el primero. Los campos que no existen se ignoran.
+   * 
+   * Los valores se guardan en el almacén de anotaciones de PDF.js, por lo que se
+   * incluyen al descargar o imprimir el documento.
+   * 
+   * @param {Object<string, string|boolean|string[]|null>} values - Los valores indexados por el nombre completo de cada campo.
+   * @returns {Promise<void>} Una promesa que se resuelve cuando se han guardado los valores.
+   */
+  async setFormValues(values) {
+    if (!this.pdfDoc) throw new Error('No PDF document is open.');
+
+    for (const [name, value] of Object.entries(values)) {
+      await this.setFormFieldValue(name, value);
+    }
+  }
+
+  /**
+   * Guarda el valor de un campo de formulario en todos sus controles, actualiza
+   * los controles visibles y descarta la URL temporal del documento para que la
+   * descarga y la impresión incluyan el cambio.
+   * 
+   * @param {string} name - El nombre completo del campo.
+   * @param {string|boolean|string[]|null} value - El nuevo valor del campo.
+   * @returns {Promise<void>} Una promesa que se resuelve cuando se ha guardado el valor.
+   */
+  async setFormFieldValue(name, value) {
+    const pdfDoc = this.pdfDoc;
+    const widgets = await this.getFormWidgets(name);
+
+    // El documento pudo cambiar mientras se obtenían los campos
+    if (this.pdfDoc !== pdfDoc || widgets.length === 0) return;
+
+    const storage = pdfDoc.annotationStorage;
+    const hasDistinctExportValues = this.hasDistinctExportValues(widgets);
+
+    widgets.forEach((widget, index) => {
+      switch (widget.type) {
+        case 'checkbox':
+          // Cada control se marca con su propio valor de exportación
+          storage.setValue(widget.id, {
+            value: typeof value === 'string'
+              ? widget.exportValues === value
+              : value === true && (!hasDistinctExportValues || index === 0),
+          });
+          break;
+        case 'radiobutton':
+          storage.setValue(widget.id, { value: widget.exportValues === (value === true ? widgets[0].exportValues : value) });
+          break;
+        case 'listbox':
+          if (widget.multipleSelection) {
+            storage.setValue(widget.id, { value: [].concat(value ?? []) });
+            break;
+          }
+        // falls through
+        case 'combobox':
+          storage.setValue(widget.id, { value: (Array.isArray(value) ? value[0] : value) ?? '' });
+          break;
+        default:
+          storage.setValue(widget.id, { value: String(value ?? '') });
+      }
+    });
+
+    if (this.pdfUrl) {
+      window.URL.revokeObjectURL(this.pdfUrl);
+      this.pdfUrl = '';
+    }
+
+    this.updateFormFields();
+  }
+
+  /**
+   * Indica si los controles de un campo tienen distintos valores de exportación,
+   * como las casillas que funcionan como un grupo de opciones.
+   * 
+   * @param {Object[]} widgets - Los controles del campo según `getFieldObjects()`.
+   * @returns {boolean} True si hay más de un valor de exportación.
+   */
+  hasDistinctExportValues(widgets) {
+    return new Set(widgets.map(widget => widget.exportValues)).size > 1;
+  }
+
+  /**
+   * Refleja en los controles de formulario visibles los valores del almacén de anotaciones.
+   * 
+   * @returns {void}
+   */
+  updateFormFields() {
+    const storage = this.pdfDoc.annotationStorage;
+
+    this.getElement('pdf-body').querySelectorAll('.pdf-visualizer-field').forEach(field => {
+      const storedValue = storage.getRawValue(field.dataset.annotationId)?.value;
+      if (storedValue === undefined) return;
+
+      if (field.type === 'checkbox' || field.type === 'radio') {
+        field.checked = storedValue;
+      } else if (field instanceof HTMLSelectElement) {
+        const selected = [].concat(storedValue);
+        Array.from(field.options).forEach(option => { option.selected = selected.includes(option.value); });
+      } else if (field.value !== storedValue) {
+        // Solo se reescribe si cambió, para no mover el cursor mientras se escribe
+        field.value = storedValue;
+      }
+    });
+  }
+
+  /**
+   * Selecciona la herramienta de anotación activa. Si se elige el resaltado con
+   * texto ya seleccionado, el texto se resalta de inmediato.
+   * 
+   * @param {string|null} tool - La herramienta: 'highlight', 'note', 'ink', 'eraser' o null para ninguna.
+   * @returns {void}
+   */
+  setAnnotationTool(tool) {
+    this.annotationTool = ['highlight', 'note', 'ink', 'eraser'].includes(tool) ? tool : null;
+    this.closeNotePopup();
+
+    const pdfBody = this.getElement('pdf-body');
+    if (this.annotationTool) {
+      pdfBody.dataset.annotationTool = this.annotationTool;
+    } else {
+      delete pdfBody.dataset.annotationTool;
+    }
+
+    this.container.querySelectorAll('[data-annotation-tool]').forEach(button => {
+      button.setAttribute('aria-pressed', String(button.dataset.annotationTool === this.annotationTool));
+    });
+
+    if (this.annotationTool === 'highlight') this.createHighlightFromSelection();
+  }
+
+  /**
+   * Obtiene las anotaciones creadas por el usuario, listas para guardarse como JSON.
+   * 
+   * Las coordenadas están en el espacio de la página del PDF (puntos, con el origen
+   * abajo a la izquierda y sin giro), por lo que no dependen del zoom ni del giro:
+   * - `{ id, type: 'highlight', pageNum, color, rects: [[x1, y1, x2, y2], ...], text }`
+   * - `{ id, type: 'note', pageNum, color, point: [x, y], contents }`
+   * - `{ id, type: 'ink', pageNum, color, width, points: [[x, y], ...] }`
+   * 
+   * @returns {Object[]} Una copia de las anotaciones.
+   */
+  getAnnotations() {
+    return JSON.parse(JSON.stringify(this.annotations));
+  }
+
+  /**
+   * Reemplaza las anotaciones del usuario por las indicadas, por ejemplo las que
+   * se guardaron con `getAnnotations()`. Las anotaciones no válidas se ignoran y
+   * no se ejecuta `onAnnotationsChange`.
+   * 
+   * @param {string|Object[]} json - Las anotaciones o su representación JSON.
+   * @returns {void}
+   */
+  loadAnnotations(json) {
+    const annotations = typeof json === 'string' ? JSON.parse(json) : json;
+    if (!Array.isArray(annotations)) throw new TypeError('The annotations must be an array.');
+
+    this.closeNotePopup();
+    this.annotations = annotations.map(annotation => this.normalizeAnnotation(annotation)).filter(Boolean);
+    this.refreshMarkupLayers();
+  }
+
+  /**
+   * Valida una anotación del usuario y completa los valores que falten.
+   * 
+   * @param {Object} annotation - La anotación a validar.
+   * @returns {Object|null} La anotación normalizada o null si no es válida.
+   */
+  normalizeAnnotation(annotation) {
+    if (!annotation || !Number.isInteger(annotation.pageNum) || annotation.pageNum < 1) return null;
+
+    const isPoint = point => Array.isArray(point) && point.length === 2 && point.every(Number.isFinite);
+    const isRect = rect => Array.isArray(rect) && rect.length === 4 && rect.every(Number.isFinite);
+    const base = {
+      id: annotation.id ? String(annotation.id) : this.createAnnotationId(),
+      type: annotation.type,
+      pageNum: annotation.pageNum,
+    };
+
+    switch (annotation.type) {
+      case 'highlight':
+        if (!Array.isArray(annotation.rects) || annotation.rects.length === 0 || !annotation.rects.every(isRect)) return null;
+        return { ...base, color: annotation.color || this.highlightColor, rects: annotation.rects, text: String(annotation.text ?? '') };
+      case 'note':
+        if (!isPoint(annotation.point)) return null;
+        return { ...base, color: annotation.color || this.noteColor, point: annotation.point, contents: String(annotation.contents ?? '') };
+      case 'ink':
+        if (!Array.isArray(annotation.points) || annotation.points.length < 2 || !annotation.points.every(isPoint)) return null;
+        return { ...base, color: annotation.color || this.inkColor, width: Number(annotation.width) || this.inkWidth, points: annotation.points };
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Genera un identificador para una anotación nueva.
+   * 
+   * @returns {string} El identificador.
+   */
+  createAnnotationId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+  }
+
+  /**
+   * Añade una anotación del usuario, la muestra y ejecuta `onAnnotationsChange`.
+   * 
+   * @param {Object} annotation - La anotación a añadir.
+   * @returns {Object|null} La anotación añadida o null si no es válida.
+   */
+  addAnnotation(annotation) {
+    const normalized = this.normalizeAnnotation(annotation);
+    if (!normalized) return null;
+
+    this.annotations.push(normalized);
+    this.refreshMarkupLayers();
+    this.notifyAnnotationsChange('add', normalized);
+    return normalized;
+  }
+
+  /**
+   * Cambia el comentario de una nota y ejecuta `onAnnotationsChange` si cambió.
+   * 
+   * @param {string} id - El identificador de la nota.
+   * @param {string} contents - El nuevo comentario.
+   * @returns {void}
+   */
+  updateNoteContents(id, contents) {
+    const annotation = this.annotations.find(annotation => annotation.id === id && annotation.type === 'note');
+    if (!annotation || annotation.contents === contents) return;
+
+    annotation.contents = contents;
+    const note = this.getNoteElement(id);
+    if (note) note.title = contents;
+
+    this.notifyAnnotationsChange('update', annotation);
+  }
+
+  /**
+   * Elimina una anotación del usuario y ejecuta `onAnnotationsChange`.
+   * 
+   * @param {string} id - El identificador de la anotación.
+   * @returns {void}
+   */
+  removeAnnotation(id) {
+    const annotation = this.annotations.find(annotation => annotation.id === id);
+    if (!annotation) return;
+
+    if (this.openNoteId === id) this.openNoteId = null;
+    this.annotations = this.annotations.filter(item => item !== annotation);
+    this.refreshMarkupLayers();
+    this.notifyAnnotationsChange('remove', annotation);
+  }
+
+  /**
+   * Ejecuta `onAnnotationsChange` con una copia de la anotación que cambió y de todas las anotaciones.
+   * 
+   * @param {string} type - El tipo de cambio: 'add', 'update' o 'remove'.
+   * @param {Object} annotation - La anotación que cambió.
+   * @returns {void}
+   */
+  notifyAnnotationsChange(type, annotation) {
+    if (typeof this.onAnnotationsChange === 'function') {
+      this.onAnnotationsChange({
+        type,
+        annotation: JSON.parse(JSON.stringify(annotation)),
+        annotations: this.getAnnotations(),
+      });
+    }
+  }
+
+  /**
+   * Superpone a la página una capa SVG con las anotaciones del usuario. La capa
+   * usa las dimensiones de la página a escala 1 como `viewBox`, por lo que se
+   * estira con el zoom y solo se reconstruye al girar la página o al cambiar
+   * las anotaciones.
+   * 
+   * @param {Object} pageView - La página sobre la que se coloca la capa.
+   * @returns {void}
+   */
+  renderMarkupLayer(pageView) {
+    const page = pageView.page;
+    const viewport = this.getPageViewport(page, 1);
+    if (pageView.markupLayerPage === page && pageView.markupLayerRotation === viewport.rotation) return;
+
+    this.releaseMarkupLayer(pageView);
+    pageView.markupLayerPage = page;
+    pageView.markupLayerRotation = viewport.rotation;
+
+    const container = document.createElement('div');
+    container.className = 'pdf-visualizer-markup';
+
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    svg.setAttribute('viewBox', `0 0 ${viewport.width} ${viewport.height}`);
+    svg.setAttribute('preserveAspectRatio', 'none');
+    container.appendChild(svg);
+
+    this.annotations
+      .filter(annotation => annotation.pageNum === pageView.num)
+      .forEach(annotation => {
+        if (annotation.type === 'highlight') {
+          const group = document.createElementNS(SVG_NS, 'g');
+          group.classList.add('pdf-visualizer-highlight');
+          group.dataset.annotationId = annotation.id;
+          group.setAttribute('fill', annotation.color);
+
+          annotation.rects.forEach(rect => {
+            const [x1, y1, x2, y2] = viewport.convertToViewportRectangle(rect);
+            const element = document.createElementNS(SVG_NS, 'rect');
+            element.setAttribute('x', String(Math.min(x1, x2)));
+            element.setAttribute('y', String(Math.min(y1, y2)));
+            element.setAttribute('width', String(Math.abs(x2 - x1)));
+            element.setAttribute('height', String(Math.abs(y2 - y1)));
+            group.appendChild(element);
+          });
+
+          svg.appendChild(group);
+        } else if (annotation.type === 'ink') {
+          const polyline = this.createInkPolyline(annotation, viewport);
+          polyline.dataset.annotationId = annotation.id;
+          svg.appendChild(polyline);
+        } else if (annotation.type === 'note') {
+          const [x, y] = viewport.convertToViewportPoint(...annotation.point);
+
+          const note = document.createElement('button');
+          note.type = 'button';
+          note.className = 'pdf-visualizer-note';
+          note.dataset.annotationId = annotation.id;
+          note.title = annotation.contents;
+          note.setAttribute('aria-label', this.titleNote);
+          note.style.left = `${(100 * x / viewport.width).toFixed(4)}%`;
+          note.style.top = `${(100 * y / viewport.height).toFixed(4)}%`;
+          note.style.width = `calc(var(--scale-factor) * ${NOTE_ICON_SIZE}px)`;
+          note.style.height = `calc(var(--scale-factor) * ${NOTE_ICON_SIZE}px)`;
+          note.style.backgroundColor = annotation.color;
+          note.innerHTML = feather.icons["message-square"].toSvg({ width: '70%', height: '70%' });
+
+          note.addEventListener('click', () => {
+            if (this.annotationTool === 'eraser') return;
+            if (this.openNoteId === annotation.id) {
+              this.closeNotePopup();
+            } else {
+              this.openNotePopup(annotation.id);
+            }
+          });
+
+          container.appendChild(note);
+        }
+      });
+
+    pageView.element.appendChild(container);
+
+    // Volver a abrir la nota que estaba abierta en esta página
+    if (this.openNoteId && this.annotations.some(annotation => annotation.id === this.openNoteId && annotation.pageNum === pageView.num)) {
+      this.openNotePopup(this.openNoteId);
+    }
+  }
+
+  /**
+   * Elimina la capa de anotaciones del usuario de una página.
+   * 
+   * @param {Object} pageView - La página cuya capa se elimina.
+   * @returns {void}
+   */
+  releaseMarkupLayer(pageView) {
+    pageView.element.querySelector('.pdf-visualizer-markup')?.remove();
+    pageView.markupLayerPage = null;
+    pageView.markupLayerRotation = null;
+  }
+
+  /**
+   * Reconstruye la capa de anotaciones del usuario de todas las páginas renderizadas.
+   * 
+   * @returns {void}
+   */
+  refreshMarkupLayers() {
+    const pageViews = this.isContinuous() ? this.pageViews : [this.pageView];
+
+    pageViews.forEach(pageView => {
+      if (!pageView?.markupLayerPage) return;
+      pageView.markupLayerPage = null;
+      this.renderMarkupLayer(pageView);
+    });
+  }
+
+  /**
+   * Crea la línea SVG de un trazo a mano alzada.
+   * 
+   * @param {Object} annotation - La anotación `ink`, con sus puntos en coordenadas de la página.
+   * @param {PageViewport} viewport - La vista de la página a escala 1.
+   * @returns {SVGPolylineElement} La línea del trazo.
+   */
+  createInkPolyline(annotation, viewport) {
+    const polyline = document.createElementNS(SVG_NS, 'polyline');
+    polyline.classList.add('pdf-visualizer-ink');
+    polyline.setAttribute('stroke', annotation.color);
+    polyline.setAttribute('stroke-width', String(annotation.width));
+    polyline.setAttribute('points', annotation.points.map(point => viewport.convertToViewportPoint(...point).join(',')).join(' '));
+    return polyline;
+  }
+
+  /**
+   * Obtiene la vista de página a la que pertenece un elemento de página.
+   * 
+   * @param {Element} element - El elemento de la página.
+   * @returns {Object|undefined} La vista de la página.
+   */
+  getPageViewByElement(element) {
+    if (!this.isContinuous()) return this.pageView?.element === element ? this.pageView : undefined;
+    return this.pageViews.find(pageView => pageView.element === element);
+  }
+
+  /**
+   * Convierte una posición de la ventana a coordenadas de la página del PDF.
+   * 
+   * @param {Object} pageView - La página sobre la que está la posición.
+   * @param {number} clientX - La coordenada horizontal, relativa a la ventana.
+   * @param {number} clientY - La coordenada vertical, relativa a la ventana.
+   * @returns {number[]} El punto `[x, y]` en coordenadas de la página, redondeado a centésimas.
+   */
+  getPagePoint(pageView, clientX, clientY) {
+    const bounds = pageView.element.getBoundingClientRect();
+    const viewport = this.getPageViewport(pageView.page, 1);
+    const point = viewport.convertToPdfPoint(
+      (clientX - bounds.left) * viewport.width / bounds.width,
+      (clientY - bounds.top) * viewport.height / bounds.height,
+    );
+    return point.map(value => Math.round(value * 100) / 100);
+  }
+
+  /**
+   * Crea un resaltado con el texto seleccionado en las capas de texto. Si la
+   * selección abarca varias páginas, se crea un resaltado por página.
+   * 
+   * @returns {void}
+   */
+  createHighlightFromSelection() {
+    const selection = document.getSelection();
+    if (!selection || selection.isCollapsed || selection.rangeCount === 0) return;
+
+    const range = selection.getRangeAt(0);
+    const root = range.commonAncestorContainer;
+    if (!this.getElement('pdf-body').contains(root)) return;
+
+    // Medir solo los nodos de texto, ya que los rectángulos de los elementos duplicarían el resaltado
+    const textNodes = [];
+    if (root.nodeType === Node.TEXT_NODE) {
+      textNodes.push(root);
+    } else {
+      const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+      while (walker.nextNode()) {
+        if (range.intersectsNode(walker.currentNode)) textNodes.push(walker.currentNode);
+      }
+    }
+
+    const highlights = new Map();
+    textNodes.forEach(node => {
+      const element = node.parentElement?.closest('.textLayer')?.parentElement;
+      const pageView = element && this.getPageViewByElement(element);
+      if (!pageView) return;
+
+      const nodeRange = document.createRange();
+      nodeRange.selectNodeContents(node);
+      if (node === range.startContainer) nodeRange.setStart(node, range.startOffset);
+      if (node === range.endContainer) nodeRange.setEnd(node, range.endOffset);
+
+      const highlight = highlights.get(pageView) || { rects: [], text: [] };
+      Array.from(nodeRange.getClientRects())
+        .filter(rect => rect.width > 0 && rect.height > 0)
+        .forEach(rect => {
+          const [x1, y1] = this.getPagePoint(pageView, rect.left, rect.top);
+          const [x2, y2] = this.getPagePoint(pageView, rect.right, rect.bottom);
+          highlight.rects.push([Math.min(x1, x2), Math.min(y1, y2), Math.max(x1, x2), Math.max(y1, y2)]);
+        });
+      highlight.text.push(nodeRange.toString());
+      highlights.set(pageView, highlight);
+    });
+
+    selection.removeAllRanges();
+
+    highlights.forEach(({ rects, text }, pageView) => {
+      if (rects.length === 0) return;
+      this.addAnnotation({ type: 'highlight', pageNum: pageView.num, rects, text: text.join('').trim() });
+    });
+  }
+
+  /**
+   * Atiende la pulsación sobre la capa de anotaciones según la herramienta
+   * activa: crea una nota, empieza un trazo o borra la anotación pulsada.
+   * 
+   * @param {PointerEvent} e - El evento del puntero.
+   * @returns {void}
+   */
+  onMarkupPointerDown(e) {
+    const layer = e.target instanceof Element ? e.target.closest('.pdf-visualizer-markup') : null;
+    if (!layer || !this.annotationTool || this.inkDrawing) return;
+
+    const pageView = this.getPageViewByElement(layer.parentElement);
+    if (!pageView?.page) return;
+
+    if (this.annotationTool === 'eraser') {
+      const id = e.target.closest('[data-annotation-id]')?.dataset.annotationId;
+      if (id) {
+        e.preventDefault();
+        this.removeAnnotation(id);
+      }
+      return;
+    }
+
+    // Las notas y sus comentarios se usan sin crear anotaciones nuevas
+    if (e.target.closest('.pdf-visualizer-note, .pdf-visualizer-note-popup')) return;
+
+    const point = this.getPagePoint(pageView, e.clientX, e.clientY);
+
+    if (this.annotationTool === 'note') {
+      e.preventDefault();
+      const note = this.addAnnotation({ type: 'note', pageNum: pageView.num, point, contents: '' });
+      if (note) this.openNotePopup(note.id);
+    } else if (this.annotationTool === 'ink') {
+      e.preventDefault();
+      layer.setPointerCapture(e.pointerId);
+
+      const viewport = this.getPageViewport(pageView.page, 1);
+      const annotation = { type: 'ink', pageNum: pageView.num, color: this.inkColor, width: this.inkWidth, points: [point] };
+      const polyline = this.createInkPolyline(annotation, viewport);
+      layer.querySelector('svg').appendChild(polyline);
+
+      this.inkDrawing = { pointerId: e.pointerId, pageView, viewport, annotation, polyline };
+    }
+  }
+
+  /**
+   * Añade un punto al trazo a mano alzada en curso.
+   * 
+   * @param {PointerEvent} e - El evento del puntero.
+   * @returns {void}
+   */
+  onMarkupPointerMove(e) {
+    const drawing = this.inkDrawing;
+    if (!drawing || drawing.pointerId !== e.pointerId) return;
+
+    const point = this.getPagePoint(drawing.pageView, e.clientX, e.clientY);
+    drawing.annotation.points.push(point);
+    drawing.polyline.setAttribute('points', `${drawing.polyline.getAttribute('points')} ${drawing.viewport.convertToViewportPoint(...point).join(',')}`);
+  }
+
+  /**
+   * Termina el trazo a mano alzada en curso o, con la herramienta de resaltado,
+   * resalta el texto seleccionado.
+   * 
+   * @param {PointerEvent} e - El evento del puntero.
+   * @returns {void}
+   */
+  onMarkupPointerUp(e) {
+    if (this.annotationTool === 'highlight') {
+      this.createHighlightFromSelection();
+      return;
+    }
+
+    const drawing = this.inkDrawing;
+    if (!drawing || drawing.pointerId !== e.pointerId) return;
+
+    this.inkDrawing = null;
+    drawing.polyline.remove();
+    if (e.type === 'pointerup') this.addAnnotation(drawing.annotation);
+  }
+
+  /**
+   * Obtiene el icono de una nota, si su página está renderizada.
+   * 
+   * @param {string} id - El identificador de la nota.
+   * @returns {HTMLElement|null} El icono de la nota.
+   */
+  getNoteElement(id) {
+    return this.container?.querySelector(`.pdf-visualizer-note[data-annotation-id="${CSS.escape(id)}"]`) || null;
+  }
+
+  /**
+   * Abre junto a una nota el cuadro para editar su comentario o eliminarla.
+   * 
+   * @param {string} id - El identificador de la nota.
+   * @returns {void}
+   */
+  openNotePopup(id) {
+    this.closeNotePopup();
+    const annotation = this.annotations.find(annotation => annotation.id === id && annotation.type === 'note');
+    if (!annotation) return;
+
+    // Si la página no está renderizada, el cuadro se abre al renderizarla
+    this.openNoteId = id;
+    const note = this.getNoteElement(id);
+    if (!note) return;
+
+    const popup = document.createElement('div');
+    popup.className = 'pdf-visualizer-note-popup';
+    popup.style.left = note.style.left;
+    popup.style.top = note.style.top;
+    popup.innerHTML = `
+      <textarea class="note-popup-text" placeholder="${this.titleNotePlaceholder}" aria-label="${this.titleNote}"></textarea>
+      <div class="note-popup-actions">
+        <button type="button" class="button-control" data-action="delete" title="${this.titleDeleteNote}" aria-label="${this.titleDeleteNote}">${feather.icons["trash-2"].toSvg({ width: '1.2rem', height: '1.2rem' })}</button>
+        <button type="button" class="button-control" data-action="close" title="${this.titleCloseNote}" aria-label="${this.titleCloseNote}">${feather.icons.x.toSvg({ width: '1.2rem', height: '1.2rem' })}</button>
+      </div>
+    `;
+
+    const textarea = popup.querySelector('textarea');
+    textarea.value = annotation.contents;
+    textarea.addEventListener('change', () => this.updateNoteContents(id, textarea.value));
+    popup.querySelector('[data-action="delete"]').addEventListener('click', () => this.removeAnnotation(id));
+    popup.querySelector('[data-action="close"]').addEventListener('click', () => this.closeNotePopup());
+
+    note.setAttribute('aria-expanded', 'true');
+    note.after(popup);
+    textarea.focus();
+  }
+
+  /**
+   * Cierra el cuadro de comentario de la nota abierta, guardando el comentario escrito.
+   * 
+   * @returns {void}
+   */
+  closeNotePopup() {
+    const popup = this.container?.querySelector('.pdf-visualizer-note-popup');
+    if (popup && this.openNoteId) {
+      this.updateNoteContents(this.openNoteId, popup.querySelector('textarea').value);
+      this.getNoteElement(this.openNoteId)?.setAttribute('aria-expanded', 'false');
+    }
+
+    popup?.remove();
+    this.openNoteId = null;
+  }
+
+  /**
+   * Dibuja las anotaciones del usuario de una página sobre un lienzo, por
+   * ejemplo al preparar la impresión.
+   * 
+   * @param {CanvasRenderingContext2D} ctx - El contexto del lienzo con la página renderizada.
+   * @param {PageViewport} viewport - La vista con la que se renderizó la página.
+   * @param {number} pageNum - El número de la página.
+   * @returns {void}
+   */
+  drawAnnotations(ctx, viewport, pageNum) {
+    this.annotations
+      .filter(annotation => annotation.pageNum === pageNum)
+      .forEach(annotation => {
+        ctx.save();
+
+        if (annotation.type === 'highlight') {
+          ctx.globalAlpha = 0.4;
+          ctx.globalCompositeOperation = 'multiply';
+          ctx.fillStyle = annotation.color;
+          annotation.rects.forEach(rect => {
+            const [x1, y1, x2, y2] = viewport.convertToViewportRectangle(rect);
+            ctx.fillRect(Math.min(x1, x2), Math.min(y1, y2), Math.abs(x2 - x1), Math.abs(y2 - y1));
+          });
+        } else if (annotation.type === 'ink') {
+          ctx.strokeStyle = annotation.color;
+          ctx.lineWidth = annotation.width * viewport.scale;
+          ctx.lineCap = 'round';
+          ctx.lineJoin = 'round';
+          ctx.beginPath();
+          annotation.points.forEach((point, index) => {
+            const [x, y] = viewport.convertToViewportPoint(...point);
+            if (index === 0) {
+              ctx.moveTo(x, y);
+            } else {
+              ctx.lineTo(x, y);
+            }
+          });
+          ctx.stroke();
+        } else if (annotation.type === 'note') {
+          const [x, y] = viewport.convertToViewportPoint(...annotation.point);
+          const size = NOTE_ICON_SIZE * viewport.scale;
+          ctx.fillStyle = annotation.color;
+          ctx.strokeStyle = 'rgba(0, 0, 0, 0.6)';
+          ctx.lineWidth = viewport.scale;
+          ctx.fillRect(x, y, size, size);
+          ctx.strokeRect(x, y, size, size);
+        }
+
+        ctx.restore();
+      });
+  }
+
+  /**
+   * Genera una copia del documento con las anotaciones del usuario escritas como
+   * anotaciones PDF, que se pueden ver y editar en otros lectores como Acrobat.
+   * Los resaltados se escriben como anotaciones `Highlight`, los trazos como `Ink`
+   * y las notas, que PDF.js no puede crear como notas adhesivas, como cuadros de
+   * texto `FreeText` con el comentario. Las notas sin comentario se omiten.
+   * 
+   * Las anotaciones se añaden temporalmente al almacén de anotaciones de PDF.js
+   * para que `saveDocument()` las escriba junto con los campos de formulario.
+   * 
+   * @returns {Promise<Uint8Array>} Los bytes del documento con las anotaciones.
+   */
+  async getAnnotatedPdfBytes() {
+    const pdfDoc = this.pdfDoc;
+    if (!pdfDoc) throw new Error('No PDF document is open.');
+
+    const storage = pdfDoc.annotationStorage;
+    const keys = [];
+
+    try {
+      for (const annotation of this.annotations) {
+        if (annotation.pageNum > pdfDoc.numPages) continue;
+
+        const page = await pdfDoc.getPage(annotation.pageNum);
+        const value = this.toPdfAnnotation(annotation, page);
+        if (!value) continue;
+
+        const key = `${ANNOTATION_EDITOR_PREFIX}${this.idPrefix}${annotation.id}`;
+        storage.setValue(key, value);
+        keys.push(key);
+      }
+
+      return await pdfDoc.saveDocument();
+    } finally {
+      keys.forEach(key => storage.remove(key));
+    }
+  }
+
+  /**
+   * Convierte una anotación del usuario al formato con el que PDF.js guarda las
+   * anotaciones nuevas en `saveDocument()`.
+   * 
+   * @param {Object} annotation - La anotación del usuario.
+   * @param {PDFPageProxy} page - La página de la anotación.
+   * @returns {Object|null} La anotación para el almacén de PDF.js o null si no se guarda.
+   */
+  toPdfAnnotation(annotation, page) {
+    const base = {
+      pageIndex: annotation.pageNum - 1,
+      rotation: page.rotate,
+      color: this.getRgbColor(annotation.color),
+    };
+
+    if (annotation.type === 'highlight') {
+      const rects = annotation.rects;
+      return {
+        ...base,
+        annotationType: AnnotationEditorType.HIGHLIGHT,
+        opacity: 0.4,
+        rect: [
+          Math.min(...rects.map(rect => rect[0])),
+          Math.min(...rects.map(rect => rect[1])),
+          Math.max(...rects.map(rect => rect[2])),
+          Math.max(...rects.map(rect => rect[3])),
+        ],
+        // Cada rectángulo como cuadrilátero: arriba a la izquierda, arriba a la derecha, abajo a la izquierda y abajo a la derecha
+        quadPoints: rects.flatMap(([x1, y1, x2, y2]) => [x1, y2, x2, y2, x1, y1, x2, y1]),
+        outlines: rects.map(([x1, y1, x2, y2]) => [x1, y1, x2, y1, x2, y2, x1, y2]),
+      };
+    }
+
+    if (annotation.type === 'ink') {
+      const xs = annotation.points.map(point => point[0]);
+      const ys = annotation.points.map(point => point[1]);
+      const margin = annotation.width;
+      const [start, ...rest] = annotation.points;
+
+      return {
+        ...base,
+        annotationType: AnnotationEditorType.INK,
+        opacity: 1,
+        thickness: annotation.width,
+        rect: [Math.min(...xs) - margin, Math.min(...ys) - margin, Math.max(...xs) + margin, Math.max(...ys) + margin],
+        paths: [{
+          // Cada tramo del trazo como una curva de Bézier cuyos puntos de control son sus extremos
+          bezier: [...start, ...rest.flatMap((point, index) => [...annotation.points[index], ...point, ...point])],
+          points: annotation.points.flat(),
+        }],
+      };
+    }
+
+    if (annotation.type === 'note' && annotation.contents.trim()) {
+      const fontSize = 10;
+      const lines = annotation.contents.split('\n');
+      const width = Math.max(...lines.map(line => line.length)) * fontSize * 0.6 + fontSize;
+      const height = lines.length * fontSize * 1.35 + fontSize / 2;
+
+      // El cuadro empieza en la esquina de la nota y crece hacia la derecha y hacia abajo de la página vista sin girar
+      const viewport = page.getViewport({ scale: 1 });
+      const [vx, vy] = viewport.convertToViewportPoint(...annotation.point);
+      const [x1, y1] = viewport.convertToPdfPoint(vx, vy);
+      const [x2, y2] = viewport.convertToPdfPoint(vx + width, vy + height);
+
+      return {
+        ...base,
+        annotationType: AnnotationEditorType.FREETEXT,
+        color: [0, 0, 0],
+        fontSize,
+        value: annotation.contents,
+        rect: [Math.min(x1, x2), Math.min(y1, y2), Math.max(x1, x2), Math.max(y1, y2)],
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Convierte un color CSS en sus componentes rojo, verde y azul.
+   * 
+   * @param {string} color - El color CSS, como '#ffeb3b' o 'red'.
+   * @returns {number[]} Los componentes `[r, g, b]`, de 0 a 255.
+   */
+  getRgbColor(color) {
+    // El lienzo normaliza cualquier color CSS a '#rrggbb' o 'rgba(r, g, b, a)'
+    const ctx = document.createElement('canvas').getContext('2d');
+    ctx.fillStyle = '#000000';
+    ctx.fillStyle = color;
+    const value = ctx.fillStyle;
+
+    if (value.startsWith('#')) {
+      return [1, 3, 5].map(index => parseInt(value.slice(index, index + 2), 16));
+    }
+    return value.match(/[\d.]+/g).slice(0, 3).map(Number);
+  }
+
+  /**
+   * Ejecuta un enlace del documento. Antes de navegar se consulta `onLinkClick`,
+   * que puede cancelar la navegación retornando `false` o cambiar la URL a
+   * abrir retornando un texto. Las URL externas se abren en una pestaña nueva y
+   * los destinos internos se muestran a través de la cola de renderizado.
+   * 
+   * @param {Object} annotation - La anotación `Link` de PDF.js.
+   * @param {number} pageNum - El número de la página que contiene el enlace.
+   * @returns {void}
+   */
+  onLinkAnnotationClick(annotation, pageNum) {
+    let url = annotation.url || null;
+
+    if (typeof this.onLinkClick === 'function') {
+      const result = this.onLinkClick({
+        url,
+        dest: annotation.dest || null,
+        action: annotation.action || null,
+        pageNum,
+      });
+
+      if (result === false) return;
+      if (typeof result === 'string') url = result;
+    }
+
+    if (url) {
+      window.open(url, '_blank', 'noopener,noreferrer');
+      return;
+    }
+
+    if (annotation.dest) {
+      this.goToDestination(annotation.dest).catch(error => console.error(error));
+      return;
+    }
+
+    // Acciones con nombre para moverse entre páginas
+    const pages = {
+      FirstPage: 1,
+      LastPage: this.pdfDoc.numPages,
+      PrevPage: this.pageNum - 1,
+      NextPage: this.pageNum + 1,
+    };
+    const num = pages[annotation.action];
+
+    if (num >= 1 && num <= this.pdfDoc.numPages) {
+      this.pageNum = num;
+      this.queueRenderPage(num);
+    }
+  }
+
+  /**
+   * Navega a la página anterior del documento PDF.
+   *
+   * Este método realiza las siguientes acciones:
+   * - Verifica si se está renderizando una página actualmente. Si es así,
+   *   no hace nada.
+   * - Comprueba si la página actual es la primera. Si es así, no hace nada.
+   * - Decrementa el número de página actual y llama a la función para
+   *   renderizar la nueva página.
+   *
+   * @returns {void}
+   */
+  onPrevPage() {
+    if (this.pageRendering) return;
+
+    if (this.pageNum <= 1) return;
+    this.pageNum--;
+    this.queueRenderPage(this.pageNum);
+  }
+
+  /**
+   * Navega a la siguiente página en la cola de renderizado.
+   * 
+   * Este método verifica si una página se está renderizando actualmente 
+   * y previene la navegación si es así. También comprueba si el número 
+   * de página actual es mayor o igual al número total de páginas en el 
+   * documento PDF, en cuyo caso no hace nada. Si se cumplen las condiciones, 
+   * incrementa el número de página y añade la nueva página a la cola para renderizado.
+   *
+   * @returns {void} Esta función no retorna ningún valor.
+   */
+  onNextPage() {
+    if (this.pageRendering) return;
+
+    if (this.pageNum >= this.pdfDoc.numPages) return;
+    this.pageNum++;
+    this.queueRenderPage(this.pageNum);
+  }
+
+  /**
+   * Aumenta el nivel de zoom de la página actual.
+   * 
+   * Este método verifica si una página se está renderizando actualmente 
+   * y previene la acción si es así. Luego, comprueba si el nivel de 
+   * zoom actual es menor que la escala máxima. Si se cumplen estas condiciones, 
+   * incrementa el nivel de zoom en el incremento configurado (sin exceder 
+   * la escala máxima), añade la página actual a la cola para renderizado y 
+   * actualiza la información del zoom.
+   *
+   * @returns {void} Esta función no retorna ningún valor.
+   */
+  onZoomIn() {
+    if (this.pageRendering) return;
+    if (this.scale < this.maxScale) {
+      this.setZoom(Math.round((this.scale + this.scaleStep) * 100) / 100);
+    }
+  }
+
+  /**
+   * Disminuye el nivel de zoom de la página actual.
+   * 
+   * Este método verifica si una página se está renderizando actualmente 
+   * y previene la acción si es así. Luego, comprueba si el nivel de 
+   * zoom actual es mayor que la escala mínima. Si se cumplen estas condiciones, 
+   * disminuye el nivel de zoom en el incremento configurado (sin caer por 
+   * debajo de la escala mínima), añade la página actual a la cola para 
+   * renderizado y actualiza la información del zoom.
+   *
+   * @returns {void} Esta función no retorna ningún valor.
+   */
+  onZoomOut() {
+    if (this.pageRendering) return;
+
+    if (this.scale > this.minScale) {
+      this.setZoom(Math.round((this.scale - this.scaleStep) * 100) / 100);
+    }
+  }
+
+  /**
+   * Cambia el zoom del visor y vuelve a renderizar la página actual.
+   * 
+   * Los modos 'fit-width' (ajustar al ancho), 'fit-page' (ajustar la página
+   * completa) y 'actual-size' (tamaño real) calculan la escala a partir de la
+   * página actual y del tamaño de `#pdf-body`, y se mantienen al cambiar de
+   * página o de tamaño de ventana hasta que se elige otra escala.
+   * 
+   * @param {number|string} zoom - La escala a aplicar o el modo de ajuste.
+   * @returns {void}
+   */
+  setZoom(zoom) {
+    if (typeof zoom === 'number' && !isNaN(zoom)) {
+      this.zoomMode = 'custom';
+      this.scale = Math.min(this.maxScale, Math.max(this.minScale, zoom));
+    } else if (['fit-width', 'fit-page', 'actual-size'].includes(zoom)) {
+      this.zoomMode = zoom;
+      this.updateZoomModeScale();
+    } else {
+      return;
+    }
+
+    this.updateZoomInfo();
+    if (this.pdfDoc) {
+      this.queueRenderPage(this.pageNum);
+    }
+  }
+
+  /**
+   * Recalcula la escala según el modo de ajuste del zoom activo, usando la
+   * página actual y el tamaño de `#pdf-body`.
+   * 
+   * @returns {boolean} True si la escala cambió.
+   */
+  updateZoomModeScale() {
+    if (this.zoomMode === 'custom') return false;
+
+    // En modo continuo, mientras la página actual se carga, se usa la primera
+    const page = this.isContinuous() ? this.pageViews[this.pageNum - 1]?.page || this.pageViews[0]?.page : this.page;
+    if (!page) return false;
+
+    // Dejar espacio para las barras de desplazamiento y los márgenes de las páginas
+    const padding = 20;
+    const pdfBody = this.getElement('pdf-body');
+    const viewport = this.getPageViewport(page, 1);
+    const widthScale = (pdfBody.clientWidth - padding) / viewport.width;
+    const heightScale = (pdfBody.clientHeight - padding) / viewport.height;
+
+    let scale = 1.0;
+    if (this.zoomMode === 'fit-width') {
+      scale = widthScale;
+    } else if (this.zoomMode === 'fit-page') {
+      scale = Math.min(widthScale, heightScale);
+    }
+    scale = Math.min(this.maxScale, Math.max(this.minScale, scale));
+
+    if (Math.abs(scale - this.scale) < 0.001) return false;
+
+    this.scale = scale;
+    return true;
+  }
+
+  /**
+   * Mantiene el modo de ajuste del zoom cuando cambia el tamaño de `#pdf-body`
+   * y, en modo continuo, renderiza las páginas que pasan a estar a la vista.
+   * 
+   * @returns {void}
+   */
+  onResize() {
+    if (!this.pdfDoc) return;
+
+    if (this.updateZoomModeScale()) {
+      this.updateZoomInfo();
+      this.queueRenderPage(this.pageNum);
+    } else if (this.isContinuous()) {
+      this.scheduleVisiblePagesUpdate();
+    }
+  }
+
+  /**
+   * Gira la vista del documento o de la página actual, según `rotationMode`.
+   * 
+   * El giro se suma al de la propia página y se aplica a través de
+   * `page.getViewport`, por lo que las capas de texto y enlaces, el zoom de
+   * ajuste y la impresión lo tienen en cuenta.
+   * 
+   * @param {number} degrees - Los grados a girar en sentido horario; deben ser múltiplo de 90.
+   * @returns {void}
+   */
+  rotate(degrees) {
+    if (degrees % 90 !== 0) {
+      throw new Error('The rotation must be a multiple of 90 degrees.');
+    }
+
+    if (!this.pdfDoc) return;
+
+    if (this.rotationMode === 'page') {
+      this.pageRotations[this.pageNum] = (this.getPageRotation(this.pageNum) + degrees + 360) % 360;
+    } else {
+      this.rotation = (this.rotation + degrees + 360) % 360;
+    }
+
+    if (this.isContinuous()) {
+      // Los marcadores de posición cambian de tamaño, así que se vuelven a renderizar
+      this.pageViews.forEach(pageView => this.releasePageView(pageView));
+      if (this.updateZoomModeScale()) {
+        this.updateZoomInfo();
+      }
+      this.layoutPages();
+      this.scrollToPage(this.pageNum);
+      this.updateVisiblePages();
+    } else {
+      this.queueRenderPage(this.pageNum);
+    }
+
+    // Volver a crear las miniaturas con el nuevo giro
+    if (this.thumbnails.length > 0) {
+      this.setupThumbnails().catch(error => console.error(error));
+    }
+  }
+
+  /**
+   * Obtiene el giro aplicado por el usuario a una página.
+   * 
+   * @param {number} num - El número de la página.
+   * @returns {number} El giro en grados: 0, 90, 180 o 270.
+   */
+  getPageRotation(num) {
+    return this.rotationMode === 'page' ? (this.pageRotations[num] || 0) : this.rotation;
+  }
+
+  /**
+   * Obtiene el viewport de una página con la escala indicada y con el giro
+   * del usuario sumado al giro propio de la página.
+   * 
+   * @param {Object} page - La página de PDF.js.
+   * @param {number} [scale] - La escala del viewport. Por defecto, la escala actual.
+   * @returns {Object} El viewport de PDF.js.
+   */
+  getPageViewport(page, scale = this.scale) {
+    return page.getViewport({
+      scale,
+      rotation: (page.rotate + this.getPageRotation(page.pageNumber)) % 360,
+    });
+  }
+
+  /**
+   * Actualiza la información del nivel de zoom en el contenedor.
    * 
    * Esta función selecciona el elemento con el id 'zoom-info' dentro del 
    * contenedor y actualiza su contenido de texto para mostrar el nivel 
@@ -538,51 +3775,908 @@ class PDFVisualizer {
    *
    * @returns {void} Esta función no retorna ningún valor.
    */
-  updateZoomInfo() {
-    this.container.querySelector('#zoom-info').textContent = `${Math.round(this.scale * 100)}%`;
+  updateZoomInfo() {
+    this.getElement('zoom-info').textContent = `${Math.round(this.scale * 100)}%`;
+
+    // Seleccionar el modo de ajuste o la escala predefinida, si coincide alguna
+    const zoomSelect = this.getElement('zoom-select');
+    const preset = this.zoomPresets.find(preset => Math.abs(preset - this.scale) < 0.001);
+    const customOption = zoomSelect.querySelector('option[value="custom"]');
+
+    customOption.textContent = `${Math.round(this.scale * 100)}%`;
+    if (this.zoomMode !== 'custom') {
+      zoomSelect.value = this.zoomMode;
+    } else if (preset !== undefined) {
+      zoomSelect.value = String(preset);
+    } else {
+      zoomSelect.value = 'custom';
+    }
+  }
+
+  /**
+   * Busca un texto en todas las páginas del documento, resalta las
+   * coincidencias en las páginas renderizadas y muestra la primera de ellas.
+   * 
+   * @param {string} query - El texto a buscar. Una cadena vacía limpia la búsqueda.
+   * @param {Object} [options] - Opciones de la búsqueda.
+   * @param {boolean} [options.caseSensitive] - Si se distinguen mayúsculas y minúsculas. Por defecto se usa la opción actual.
+   * @param {boolean} [options.wholeWord] - Si solo se encuentran palabras completas. Por defecto se usa la opción actual.
+   * @returns {Promise<Array<{pageNum: number, index: number, length: number, text: string}>>} Las coincidencias
+   * encontradas, con el número de página, la posición y la longitud dentro del texto de la página y el texto encontrado.
+   */
+  async search(query, {
+    caseSensitive = this.searchCaseSensitive,
+    wholeWord = this.searchWholeWord,
+  } = {}) {
+    if (!this.pdfDoc) return [];
+
+    const searchId = ++this.searchId;
+    this.searchQuery = query;
+    this.searchCaseSensitive = caseSensitive;
+    this.searchWholeWord = wholeWord;
+
+    const matches = [];
+
+    if (query) {
+      const regex = this.createSearchRegExp(query, caseSensitive, wholeWord);
+
+      for (let num = 1; num <= this.pdfDoc.numPages; num++) {
+        const { text } = await this.getPageText(num);
+
+        for (const match of text.matchAll(regex)) {
+          matches.push({
+            pageNum: num,
+            index: match.index,
+            length: match[0].length,
+            text: match[0],
+          });
+        }
+      }
+    }
+
+    // Una búsqueda más reciente reemplaza a esta
+    if (searchId !== this.searchId) return matches;
+
+    this.searchMatches = matches;
+    this.searchMatchIndex = -1;
+
+    // Sincronizar los controles cuando la búsqueda se hace por código
+    if (this.isSearchable) {
+      this.getElement('search-input').value = query;
+      this.getElement('search-case-sensitive').checked = caseSensitive;
+      this.getElement('search-whole-word').checked = wholeWord;
+    }
+
+    if (matches.length > 0) {
+      this.showSearchMatch(0);
+    } else {
+      this.updateSearchInfo();
+      this.refreshSearchHighlights();
+    }
+
+    return matches;
+  }
+
+  /**
+   * Construye la expresión regular de búsqueda escapando los caracteres
+   * especiales del texto buscado.
+   * 
+   * @param {string} query - El texto a buscar.
+   * @param {boolean} caseSensitive - Si se distinguen mayúsculas y minúsculas.
+   * @param {boolean} wholeWord - Si solo se encuentran palabras completas.
+   * @returns {RegExp} La expresión regular global de búsqueda.
+   */
+  createSearchRegExp(query, caseSensitive, wholeWord) {
+    let pattern = query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+    if (wholeWord) {
+      pattern = `(?<![\\p{L}\\p{N}_])${pattern}(?![\\p{L}\\p{N}_])`;
+    }
+
+    return new RegExp(pattern, caseSensitive ? 'gu' : 'giu');
+  }
+
+  /**
+   * Obtiene el texto de una página tal como lo recorre la capa de texto: la
+   * concatenación de los elementos de `getTextContent()`, con un espacio en
+   * cada salto de línea, y la posición en la que empieza cada elemento.
+   * El resultado se guarda para las búsquedas siguientes.
+   * 
+   * @param {number} num - El número de la página.
+   * @returns {Promise<{text: string, itemStarts: number[]}>} El texto de la página y el inicio de cada elemento.
+   */
+  getPageText(num) {
+    if (!this.pageTexts[num - 1]) {
+      this.pageTexts[num - 1] = this.pdfDoc.getPage(num)
+        .then(page => page.getTextContent())
+        .then(textContent => {
+          let text = '';
+          const itemStarts = [];
+
+          textContent.items.forEach(item => {
+            itemStarts.push(text.length);
+            text += item.str;
+            if (item.hasEOL) text += ' ';
+          });
+
+          return { text, itemStarts };
+        });
+    }
+
+    return this.pageTexts[num - 1];
+  }
+
+  /**
+   * Muestra la coincidencia indicada, navegando a su página a través de la cola
+   * de renderizado si no es la página actual.
+   * 
+   * @param {number} index - El índice de la coincidencia en `searchMatches`.
+   * @returns {void}
+   */
+  showSearchMatch(index) {
+    const match = this.searchMatches[index];
+    if (!match) return;
+
+    this.searchMatchIndex = index;
+    this.isScrollingToSearchMatch = true;
+    this.updateSearchInfo();
+
+    const pageInView = this.isContinuous() ? this.getPageInView() : this.pageView.num;
+
+    if (match.pageNum !== pageInView || match.pageNum !== this.pageNum) {
+      this.pageNum = match.pageNum;
+      this.queueRenderPage(this.pageNum);
+    }
+
+    this.refreshSearchHighlights();
+  }
+
+  /**
+   * Muestra la coincidencia anterior de la búsqueda, volviendo a la última
+   * cuando se está en la primera.
+   * 
+   * @returns {void}
+   */
+  onSearchPrev() {
+    if (this.searchMatches.length === 0) return;
+
+    const total = this.searchMatches.length;
+    this.showSearchMatch((this.searchMatchIndex - 1 + total) % total);
+  }
+
+  /**
+   * Muestra la siguiente coincidencia de la búsqueda, volviendo a la primera
+   * cuando se está en la última.
+   * 
+   * @returns {void}
+   */
+  onSearchNext() {
+    if (this.searchMatches.length === 0) return;
+
+    this.showSearchMatch((this.searchMatchIndex + 1) % this.searchMatches.length);
+  }
+
+  /**
+   * Actualiza el contador de coincidencias ("3 of 17") y el estado de los
+   * botones de navegación de la búsqueda.
+   * 
+   * @returns {void}
+   */
+  updateSearchInfo() {
+    if (!this.isSearchable) return;
+
+    const total = this.searchMatches.length;
+    let info = '';
+
+    if (total > 0) {
+      info = `${this.searchMatchIndex + 1} ${this.titleSearchOf} ${total}`;
+    } else if (this.searchQuery) {
+      info = this.titleSearchNoResults;
+    }
+
+    this.getElement('search-info').textContent = info;
+    this.getElement('search-prev').disabled = total === 0;
+    this.getElement('search-next').disabled = total === 0;
+  }
+
+  /**
+   * Vuelve a aplicar el resaltado de la búsqueda en todas las páginas renderizadas.
+   * 
+   * @returns {void}
+   */
+  refreshSearchHighlights() {
+    if (this.isContinuous()) {
+      this.pageViews.forEach(pageView => this.highlightSearchMatches(pageView));
+    } else if (this.pageView) {
+      this.highlightSearchMatches(this.pageView);
+    }
+  }
+
+  /**
+   * Resalta en la capa de texto de una página las coincidencias de la búsqueda
+   * activa, marcando la coincidencia actual, y la desplaza a la vista si se
+   * acaba de navegar hasta ella.
+   * 
+   * @param {Object} pageView - La página cuya capa de texto se resalta.
+   * @returns {Promise<void>} Una promesa que se resuelve cuando se ha aplicado el resaltado.
+   */
+  async highlightSearchMatches(pageView) {
+    const textLayer = pageView.textLayer;
+    if (!textLayer) return;
+
+    const matches = this.searchMatches
+      .map((match, index) => ({ ...match, selected: index === this.searchMatchIndex }))
+      .filter(match => match.pageNum === pageView.num);
+    const { itemStarts } = matches.length > 0 ? await this.getPageText(pageView.num) : { itemStarts: [] };
+
+    // La capa de texto pudo reemplazarse mientras se obtenía el texto
+    if (pageView.textLayer !== textLayer) return;
+
+    const { textDivs, textContentItemsStr } = textLayer;
+
+    // Restaurar el texto original de los elementos resaltados anteriormente
+    textDivs.forEach((div, i) => {
+      if (div.childElementCount > 0) {
+        div.textContent = textContentItemsStr[i];
+      }
+    });
+
+    // Calcular qué parte de cada elemento cubre cada coincidencia
+    const ranges = new Map();
+    matches.forEach(match => {
+      const start = match.index;
+      const end = match.index + match.length;
+
+      itemStarts.forEach((itemStart, i) => {
+        const itemEnd = itemStart + (textContentItemsStr[i] || '').length;
+        if (itemStart >= end || itemEnd <= start || !textDivs[i]) return;
+
+        if (!ranges.has(i)) ranges.set(i, []);
+        ranges.get(i).push({
+          from: Math.max(start, itemStart) - itemStart,
+          to: Math.min(end, itemEnd) - itemStart,
+          selected: match.selected,
+        });
+      });
+    });
+
+    ranges.forEach((divRanges, i) => {
+      const div = textDivs[i];
+      const str = textContentItemsStr[i];
+      let last = 0;
+
+      div.textContent = '';
+      divRanges.forEach(({ from, to, selected }) => {
+        if (from > last) div.append(str.slice(last, from));
+
+        const highlight = document.createElement('span');
+        highlight.className = selected ? 'highlight selected' : 'highlight';
+        highlight.textContent = str.slice(from, to);
+        div.append(highlight);
+
+        last = to;
+      });
+      if (last < str.length) div.append(str.slice(last));
+    });
+
+    // Desplazar la coincidencia actual a la vista
+    const selected = pageView.element.querySelector('.textLayer .highlight.selected');
+    if (selected && this.isScrollingToSearchMatch) {
+      this.isScrollingToSearchMatch = false;
+      selected.scrollIntoView({ block: 'center', inline: 'nearest' });
+    }
+  }
+
+  /**
+   * Abre o cierra la barra lateral de miniaturas. Las miniaturas se preparan
+   * la primera vez que se abre la barra con un documento cargado.
+   * 
+   * @param {boolean} [isOpen] - Si se debe abrir la barra. Por defecto se alterna su estado.
+   * @returns {void}
+   */
+  toggleThumbnails(isOpen = !this.isThumbnailsOpen) {
+    this.isThumbnailsOpen = isOpen;
+    this.getElement('pdf-sidebar').hidden = !isOpen;
+    this.getElement('thumbnails-toggle').setAttribute('aria-expanded', String(isOpen));
+
+    if (isOpen && this.pdfDoc && this.thumbnails.length === 0) {
+      this.setupThumbnails().catch(error => console.error(error));
+    }
+
+    // El espacio de `#pdf-body` cambió, así que pueden verse otras páginas
+    if (this.isContinuous()) {
+      this.scheduleVisiblePagesUpdate();
+    }
+  }
+
+  /**
+   * Crea una miniatura, con el tamaño de su página, por cada página del
+   * documento. Las imágenes se renderizan solo cuando la miniatura se acerca a
+   * la zona visible de la barra lateral.
+   * 
+   * @returns {Promise<void>} Una promesa que se resuelve cuando las miniaturas están creadas.
+   */
+  async setupThumbnails() {
+    const pdfDoc = this.pdfDoc;
+    const list = this.getElement('pdf-thumbnails');
+
+    this.releaseThumbnails();
+    const generation = this.thumbnailGeneration;
+    this.thumbnailObserver = new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        if (entry.isIntersecting) {
+          this.queueThumbnail(this.thumbnails[Number(entry.target.dataset.pageNumber) - 1]);
+        }
+      });
+    }, {
+      root: this.getElement('pdf-sidebar'),
+      rootMargin: '200px 0px',
+    });
+
+    for (let num = 1; num <= pdfDoc.numPages; num++) {
+      const page = await pdfDoc.getPage(num);
+
+      // El documento pudo cerrarse, o las miniaturas volver a crearse, mientras se obtenían las páginas
+      if (this.pdfDoc !== pdfDoc || this.thumbnailGeneration !== generation) return;
+
+      const viewport = this.getPageViewport(page, this.thumbnailWidth / this.getPageViewport(page, 1).width);
+
+      const element = document.createElement('button');
+      element.className = 'pdf-visualizer-thumbnail';
+      element.dataset.pageNumber = String(num);
+      element.innerHTML = `
+        <div class="thumbnail-image" style="width: ${viewport.width}px; height: ${viewport.height}px;"></div>
+        <span class="thumbnail-label">${num}</span>
+      `;
+      element.addEventListener('click', () => {
+        this.pageNum = num;
+        this.queueRenderPage(num);
+      });
+      list.appendChild(element);
+
+      const thumbnail = { num, page, element, canvas: null, isQueued: false };
+      this.thumbnails.push(thumbnail);
+      this.thumbnailObserver.observe(element);
+    }
+
+    this.updateThumbnailSelection();
+  }
+
+  /**
+   * Añade una miniatura a la cola de renderizado de baja prioridad.
+   * 
+   * @param {Object} thumbnail - La miniatura a renderizar.
+   * @returns {void}
+   */
+  queueThumbnail(thumbnail) {
+    if (!thumbnail || thumbnail.canvas || thumbnail.isQueued) return;
+
+    thumbnail.isQueued = true;
+    this.thumbnailQueue.push(thumbnail);
+    this.processThumbnailQueue();
+  }
+
+  /**
+   * Renderiza las miniaturas pendientes de una en una y solo cuando el
+   * navegador está inactivo y no se está renderizando ninguna página del visor,
+   * para no retrasar nunca el renderizado principal.
+   * 
+   * @returns {void}
+   */
+  processThumbnailQueue() {
+    if (this.isRenderingThumbnail || this.thumbnailQueue.length === 0) return;
+
+    this.isRenderingThumbnail = true;
+
+    // Las miniaturas pudieron liberarse antes de que se ejecute la tarea pendiente
+    const generation = this.thumbnailGeneration;
+    const isReleased = () => this.thumbnailGeneration !== generation;
+
+    const whenIdle = window.requestIdleCallback || ((callback) => setTimeout(callback, 50));
+    whenIdle(async () => {
+      if (isReleased()) return;
+
+      // Esperar a que termine el renderizado de las páginas del visor
+      if (this.pageRendering || this.pageViews.some(pageView => pageView.renderTask)) {
+        setTimeout(() => {
+          if (isReleased()) return;
+
+          this.isRenderingThumbnail = false;
+          this.processThumbnailQueue();
+        }, 100);
+        return;
+      }
+
+      const thumbnail = this.thumbnailQueue.shift();
+      if (!thumbnail) {
+        this.isRenderingThumbnail = false;
+        return;
+      }
+
+      try {
+        await this.renderThumbnail(thumbnail);
+      } catch (error) {
+        // El documento pudo cerrarse mientras se renderizaba la miniatura
+        thumbnail.isQueued = false;
+      } finally {
+        if (!isReleased()) {
+          this.isRenderingThumbnail = false;
+          this.processThumbnailQueue();
+        }
+      }
+    });
+  }
+
+  /**
+   * Renderiza la imagen de baja resolución de una miniatura.
+   * 
+   * @param {Object} thumbnail - La miniatura a renderizar.
+   * @returns {Promise<void>} Una promesa que se resuelve cuando la miniatura se ha renderizado.
+   */
+  async renderThumbnail(thumbnail) {
+    const pixelRatio = window.devicePixelRatio || 1;
+    const scale = this.thumbnailWidth / this.getPageViewport(thumbnail.page, 1).width;
+    const viewport = this.getPageViewport(thumbnail.page, scale * pixelRatio);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = viewport.width;
+    canvas.height = viewport.height;
+
+    await thumbnail.page.render({
+      canvasContext: canvas.getContext('2d'),
+      viewport,
+    }).promise;
+
+    // La miniatura pudo liberarse mientras se renderizaba
+    if (!this.thumbnails.includes(thumbnail)) return;
+
+    thumbnail.canvas = canvas;
+    thumbnail.element.querySelector('.thumbnail-image').appendChild(canvas);
+  }
+
+  /**
+   * Marca la miniatura de la página actual y la desplaza a la vista de la
+   * barra lateral.
+   * 
+   * @returns {void}
+   */
+  updateThumbnailSelection() {
+    this.thumbnails.forEach(thumbnail => {
+      const isCurrent = thumbnail.num === this.pageNum;
+      const wasCurrent = thumbnail.element.classList.contains('selected');
+
+      thumbnail.element.classList.toggle('selected', isCurrent);
+      if (isCurrent) {
+        thumbnail.element.setAttribute('aria-current', 'page');
+      } else {
+        thumbnail.element.removeAttribute('aria-current');
+      }
+
+      if (isCurrent && !wasCurrent && this.isThumbnailsOpen) {
+        thumbnail.element.scrollIntoView({ block: 'nearest' });
+      }
+    });
+  }
+
+  /**
+   * Elimina las miniaturas y vacía su cola de renderizado. Las tareas de
+   * renderizado y de creación pendientes se descartan al cambiar la generación.
+   * 
+   * @returns {void}
+   */
+  releaseThumbnails() {
+    this.thumbnailGeneration++;
+    this.thumbnailObserver?.disconnect();
+    this.thumbnailObserver = null;
+    this.thumbnailQueue = [];
+    this.isRenderingThumbnail = false;
+
+    this.thumbnails.forEach(thumbnail => {
+      if (thumbnail.canvas) {
+        thumbnail.canvas.width = 0;
+        thumbnail.canvas.height = 0;
+      }
+      thumbnail.element.remove();
+    });
+    this.thumbnails = [];
+  }
+
+  /**
+   * Abre o cierra el panel de marcadores. El botón que lo alterna solo se
+   * muestra cuando el documento tiene marcadores.
+   * 
+   * @param {boolean} [isOpen] - Si se debe abrir el panel. Por defecto se alterna su estado.
+   * @returns {void}
+   */
+  toggleOutline(isOpen = !this.isOutlineOpen) {
+    const outlineToggle = this.getElement('outline-toggle');
+
+    this.isOutlineOpen = isOpen;
+    this.getElement('pdf-outline').hidden = !isOpen || outlineToggle.hidden;
+    outlineToggle.setAttribute('aria-expanded', String(isOpen));
+
+    // El espacio de `#pdf-body` cambió, así que pueden verse otras páginas
+    if (this.isContinuous()) {
+      this.scheduleVisiblePagesUpdate();
+    }
+  }
+
+  /**
+   * Construye el panel de marcadores a partir de `pdfDoc.getOutline()`. Si el
+   * documento no tiene marcadores, el panel y su botón se ocultan.
+   * 
+   * @returns {Promise<void>} Una promesa que se resuelve cuando el panel está construido.
+   */
+  async setupOutline() {
+    const pdfDoc = this.pdfDoc;
+    const outline = await pdfDoc.getOutline();
+
+    // El documento pudo cerrarse mientras se obtenían los marcadores
+    if (this.pdfDoc !== pdfDoc) return;
+
+    const panel = this.getElement('pdf-outline');
+    const hasOutline = Array.isArray(outline) && outline.length > 0;
+
+    panel.innerHTML = '';
+    if (hasOutline) {
+      panel.appendChild(this.createOutlineList(outline));
+    }
+
+    this.getElement('outline-toggle').hidden = !hasOutline;
+    this.toggleOutline(this.isOutlineOpen);
+  }
+
+  /**
+   * Crea la lista anidada y desplegable de un nivel de marcadores.
+   * 
+   * @param {Array<Object>} items - Los marcadores del nivel, tal como los devuelve `getOutline()`.
+   * @returns {HTMLUListElement} La lista con los marcadores y sus niveles inferiores.
+   */
+  createOutlineList(items) {
+    const list = document.createElement('ul');
+    list.className = 'outline-list';
+
+    items.forEach(item => {
+      const listItem = document.createElement('li');
+      listItem.className = 'outline-item';
+
+      const row = document.createElement('div');
+      row.className = 'outline-row';
+      listItem.appendChild(row);
+
+      if (item.items && item.items.length > 0) {
+        // Un contador positivo indica que el marcador se abre desplegado
+        const isExpanded = item.count > 0;
+        const children = this.createOutlineList(item.items);
+        children.hidden = !isExpanded;
+
+        const expander = document.createElement('button');
+        expander.className = 'outline-expander';
+        expander.setAttribute('aria-expanded', String(isExpanded));
+        expander.innerHTML = feather.icons["chevron-right"].toSvg({ width: '1rem', height: '1rem' });
+        expander.addEventListener('click', () => {
+          children.hidden = !children.hidden;
+          expander.setAttribute('aria-expanded', String(!children.hidden));
+        });
+
+        row.appendChild(expander);
+        listItem.appendChild(children);
+      } else {
+        const spacer = document.createElement('span');
+        spacer.className = 'outline-spacer';
+        row.appendChild(spacer);
+      }
+
+      const link = document.createElement('button');
+      link.className = 'outline-link';
+      link.textContent = item.title;
+      link.title = item.title;
+      if (item.bold) link.style.fontWeight = 'bold';
+      if (item.italic) link.style.fontStyle = 'italic';
+      link.addEventListener('click', () => {
+        if (item.dest) {
+          this.goToDestination(item.dest).catch(error => console.error(error));
+        } else if (item.url) {
+          window.open(item.url, '_blank', 'noopener');
+        }
+      });
+      row.appendChild(link);
+
+      list.appendChild(listItem);
+    });
+
+    return list;
+  }
+
+  /**
+   * Navega a un destino del documento, con nombre o explícito, a través de la
+   * cola de renderizado y desplaza la vista hasta la posición que indica.
+   * 
+   * @param {string|Array} dest - El destino con nombre o el destino explícito de PDF.js.
+   * @returns {Promise<void>} Una promesa que se resuelve cuando se ha solicitado la navegación.
+   */
+  async goToDestination(dest) {
+    const explicitDest = typeof dest === 'string' ? await this.pdfDoc.getDestination(dest) : dest;
+    if (!Array.isArray(explicitDest)) return;
+
+    // La página puede venir como referencia o como índice
+    const [pageRef, mode] = explicitDest;
+    const pageIndex = pageRef !== null && typeof pageRef === 'object'
+      ? await this.pdfDoc.getPageIndex(pageRef)
+      : pageRef;
+
+    if (!Number.isInteger(pageIndex) || pageIndex < 0 || pageIndex >= this.pdfDoc.numPages) return;
+
+    // Obtener la posición del destino en coordenadas de PDF
+    let left = null;
+    let top = null;
+    switch (mode?.name) {
+      case 'XYZ':
+        left = explicitDest[2];
+        top = explicitDest[3];
+        break;
+      case 'FitH':
+      case 'FitBH':
+        top = explicitDest[2];
+        break;
+      case 'FitV':
+      case 'FitBV':
+        left = explicitDest[2];
+        break;
+      case 'FitR':
+        left = explicitDest[2];
+        top = explicitDest[5];
+        break;
+    }
+
+    this.pageNum = pageIndex + 1;
+    this.pendingDestination = { num: this.pageNum, left, top };
+    this.queueRenderPage(this.pageNum);
+
+    // En modo continuo las páginas ya tienen su tamaño definitivo
+    if (this.isContinuous()) {
+      this.applyPendingDestination();
+    }
+  }
+
+  /**
+   * Desplaza `#pdf-body` hasta la posición del destino pendiente una vez que
+   * su página está disponible.
+   * 
+   * @returns {void}
+   */
+  applyPendingDestination() {
+    const destination = this.pendingDestination;
+    if (!destination) return;
+
+    const pageView = this.isContinuous() ? this.pageViews[destination.num - 1] : this.pageView;
+    if (!pageView || pageView.num !== destination.num || !pageView.page) return;
+
+    this.pendingDestination = null;
+
+    const pdfBody = this.getElement('pdf-body');
+    const viewport = this.getPageViewport(pageView.page);
+    const [x, y] = viewport.convertToViewportPoint(destination.left ?? 0, destination.top ?? viewport.viewBox[3]);
+
+    pdfBody.scrollTop = pageView.element.offsetTop + (destination.top === null ? 0 : y);
+    if (destination.left !== null) {
+      pdfBody.scrollLeft = pageView.element.offsetLeft + x;
+    }
+  }
+
+  /**
+   * Abre el cuadro de opciones de impresión, en el que se eligen las páginas a imprimir.
+   * 
+   * Este método verifica si una página se está renderizando actualmente 
+   * y previene la acción si es así.
+   *
+   * @returns {void} Esta función no retorna ningún valor.
+   */
+  onPrint() {
+    if (!this.isPrintingOnClick || !this.pdfDoc) return;
+
+    if (this.pageRendering || this.isClosing || this.isDownloading || this.isPrinting) return;
+
+    this.togglePrintOptions(true);
+  }
+
+  /**
+   * Muestra u oculta el cuadro de opciones de impresión.
+   * 
+   * @param {boolean} isOpen - Si el cuadro se muestra.
+   * @returns {void}
+   */
+  togglePrintOptions(isOpen) {
+    const printOptions = this.getElement('print-options');
+    printOptions.hidden = !isOpen;
+
+    if (isOpen) {
+      this.setPrintRangeError('');
+      printOptions.querySelector('input[type="radio"]:checked').focus();
+    } else {
+      this.container.focus();
+    }
+  }
+
+  /**
+   * Muestra u oculta el mensaje de error del campo de páginas a imprimir.
+   * 
+   * @param {string} message - El mensaje de error o un texto vacío para ocultarlo.
+   * @returns {void}
+   */
+  setPrintRangeError(message) {
+    const error = this.getElement('print-range-error');
+    error.textContent = message;
+    error.hidden = !message;
+    this.getElement('print-range').setAttribute('aria-invalid', String(!!message));
+  }
+
+  /**
+   * Imprime las páginas elegidas en el cuadro de opciones de impresión.
+   * 
+   * @param {SubmitEvent} e - El evento de envío del formulario.
+   * @returns {void}
+   */
+  onPrintOptionsSubmit(e) {
+    e.preventDefault();
+
+    const numPages = this.pdfDoc.numPages;
+    const selection = this.getElement('print-options-form').querySelector('input[type="radio"]:checked').value;
+    let pageNums;
+
+    if (selection === 'current') {
+      pageNums = [this.pageNum];
+    } else if (selection === 'range') {
+      pageNums = this.parsePageRanges(this.getElement('print-range').value, numPages);
+      if (!pageNums) {
+        this.setPrintRangeError(this.titlePrintRangeInvalid.replace('{numPages}', String(numPages)));
+        this.getElement('print-range').focus();
+        return;
+      }
+    } else {
+      pageNums = Array.from({ length: numPages }, (_, i) => i + 1);
+    }
+
+    this.togglePrintOptions(false);
+    this.printPages(pageNums);
   }
 
   /**
-   * Imprime el documento PDF actual.
+   * Convierte una lista de páginas y rangos, como "1-3, 7", en los números de página
+   * que incluye, sin repetir y en orden.
    * 
-   * Este método verifica si una página se está renderizando actualmente 
-   * y previene la acción si es así. Si no se está renderizando, utiliza 
-   * la biblioteca `printJS` para iniciar el proceso de impresión del 
-   * documento PDF, especificando la URL del documento y mostrando un 
-   * mensaje modal que indica que se está preparando el documento para 
-   * imprimir.
-   *
-   * @returns {void} Esta función no retorna ningún valor.
+   * @param {string} text - Las páginas y rangos separados por comas.
+   * @param {number} numPages - El número de páginas del documento.
+   * @returns {number[]|null} Los números de página o null si la lista no es válida.
    */
-  async onPrint() {
-    if (!this.isPrintingOnClick) return;
+  parsePageRanges(text, numPages) {
+    const parts = text.split(',').map(part => part.trim());
+    if (parts.every(part => part === '')) return null;
 
-    if (this.pageRendering || this.isClosing || this.isDownloading || this.isPrinting) return;
+    const pageNums = new Set();
+
+    for (const part of parts) {
+      if (part === '') continue;
+
+      const match = part.match(/^(\d+)\s*(?:-\s*(\d+))?$/);
+      if (!match) return null;
+
+      const start = Number(match[1]);
+      const end = match[2] === undefined ? start : Number(match[2]);
+      if (start < 1 || end < start || end > numPages) return null;
+
+      for (let num = start; num <= end; num++) pageNums.add(num);
+    }
+
+    return Array.from(pageNums).sort((a, b) => a - b);
+  }
+
+  /**
+   * Imprime páginas del documento.
+   * 
+   * El documento completo, sin páginas giradas ni anotaciones del usuario, se
+   * imprime con `printJS` a partir de la URL del documento. En otro caso, las
+   * páginas se renderizan con PDF.js como imágenes y solo se imprimen esas.
+   * 
+   * @param {number[]} pageNums - Los números de las páginas a imprimir; se ignoran los que no existen.
+   * @returns {Promise<void>} Una promesa que se resuelve cuando se cierra el diálogo de impresión.
+   */
+  async printPages(pageNums) {
+    if (!this.pdfDoc || this.pageRendering || this.isClosing || this.isDownloading || this.isPrinting) return;
+
+    pageNums = pageNums.filter(num => Number.isInteger(num) && num >= 1 && num <= this.pdfDoc.numPages);
+    if (pageNums.length === 0) return;
 
     this.isPrinting = true;
 
-    // Mostrar un indicador de carga
-    const printButton = this.container.querySelector('#print');
+    // Mostrar un indicador de carga hasta que se cierre el diálogo de impresión
+    const printButton = this.getElement('print');
     const originalContent = printButton.innerHTML;
     printButton.innerHTML = `${feather.icons.loader.toSvg({ width: '1.378rem', height: '1.378rem', class: 'animated-spin' })}`;
     printButton.disabled = true;
 
-    this.printer({
-      printable: this.pdfUrl,
-      type: 'pdf',
-      documentTitle: this.fileName,
-      showModal: false,
-      onLoadingEnd: () => {
-        printButton.innerHTML = originalContent;
-        printButton.disabled = false;
-        this.isPrinting = false;
-      },
-      onError: (error) => {
-        printButton.innerHTML = originalContent;
-        printButton.disabled = false;
-        this.isPrinting = false;
-      },
-    });
+    try {
+      const isWholeDocument = pageNums.length === this.pdfDoc.numPages;
+
+      // Una parte del documento, páginas giradas o anotaciones del usuario se imprimen como imágenes renderizadas
+      if (!isWholeDocument || this.isRotated() || this.annotations.length > 0) {
+        const images = await this.createPrintImages(pageNums);
+
+        await this.printer({
+          printable: images,
+          type: 'image',
+          documentTitle: this.fileName,
+          showModal: false,
+          style: '@page { margin: 0; } img { display: block; width: 100%; } body > div > div { break-after: page; } body > div > div:last-child { break-after: auto; }',
+          imageStyle: 'width: 100%;',
+        });
+        return;
+      }
+
+      await this.printer({
+        printable: await this.getPdfUrl(),
+        type: 'pdf',
+        documentTitle: this.fileName,
+        showModal: false,
+      });
+    } catch (error) {
+      console.error('Error printing the PDF.', error);
+    } finally {
+      printButton.innerHTML = originalContent;
+      printButton.disabled = false;
+      this.isPrinting = false;
+    }
+  }
+
+  /**
+   * Indica si el usuario ha girado alguna página del documento.
+   * 
+   * @returns {boolean} True si hay al menos una página girada.
+   */
+  isRotated() {
+    if (this.rotationMode === 'page') {
+      return Object.values(this.pageRotations).some(rotation => rotation !== 0);
+    }
+    return this.rotation !== 0;
+  }
+
+  /**
+   * Renderiza páginas del documento como imágenes para imprimirlas, con el
+   * giro de cada página, las anotaciones del usuario y la resolución de
+   * impresión (`printResolution`, en puntos por pulgada).
+   * 
+   * @param {number[]} pageNums - Los números de las páginas a renderizar.
+   * @returns {Promise<string[]>} Las imágenes de las páginas como URL de datos PNG.
+   */
+  async createPrintImages(pageNums) {
+    const images = [];
+    const scale = this.printResolution / 72;
+
+    for (const num of pageNums) {
+      const page = await this.pdfDoc.getPage(num);
+      const viewport = this.getPageViewport(page, scale);
+
+      const canvas = document.createElement('canvas');
+      canvas.width = viewport.width;
+      canvas.height = viewport.height;
+
+      await page.render({
+        canvasContext: canvas.getContext('2d'),
+        viewport,
+        intent: 'print',
+        annotationMode: AnnotationMode.ENABLE_STORAGE,
+      }).promise;
+
+      this.drawAnnotations(canvas.getContext('2d'), viewport, num);
+
+      images.push(canvas.toDataURL('image/png'));
+
+      // Liberar la memoria del lienzo
+      canvas.width = 0;
+      canvas.height = 0;
+    }
+
+    return images;
   }
 
   /**
@@ -619,6 +4713,9 @@ class PDFVisualizer {
    * @param {string} [args.font='TimesNewRoman'] - Typeface used when printing HTML or JSON.
    * @param {string} [args.font_size='12pt'] - Font size used when printing HTML or JSON.
    * @param {string} [args.imageStyle='width:100%;'] - Custom styles to be applied to each image when printing images.
+   * @param {number} [args.printDialogTimeout=5000] - Milliseconds to wait after opening the print dialog before assuming it was closed, when the browser does not fire print events.
+   * @param {number} [args.pdfDialogTimeout=60000] - Maximum milliseconds to wait for PDFs, which are assumed closed earlier if the page gets the focus back.
+   * @returns {Promise<void>} Resolves when the print dialog is closed and rejects if the print job fails.
    */
   printer(params) {
     return printJS(params);
@@ -645,7 +4742,7 @@ class PDFVisualizer {
 
     this.isDownloading = true;
 
-    const downloadButton = this.container.querySelector('#download');
+    const downloadButton = this.getElement('download');
     const originalContent = downloadButton.innerHTML;
 
     try {
@@ -655,9 +4752,19 @@ class PDFVisualizer {
 
       // Crear un enlace temporal y activar la descarga
       const link = document.createElement('a');
-      link.href = this.pdfUrl;
       link.download = this.fileName;
-      link.click();
+
+      if (this.downloadMode === 'annotated' && this.annotations.length > 0) {
+        const bytes = await this.getAnnotatedPdfBytes();
+        const annotatedUrl = URL.createObjectURL(new Blob([bytes], { type: 'application/pdf' }));
+        link.href = annotatedUrl;
+        link.click();
+        // Esperar a que el navegador empiece la descarga antes de liberar el objeto URL
+        setTimeout(() => window.URL.revokeObjectURL(annotatedUrl), 1000);
+      } else {
+        link.href = await this.getPdfUrl();
+        link.click();
+      }
     } catch (error) {
       console.error('Error al descargar el PDF:', error);
     } finally {
@@ -698,10 +4805,15 @@ class PDFVisualizer {
    * @returns {void} Esta función no retorna ningún valor.
    */
   updateUI() {
-    this.container.querySelector('#prev').disabled = this.pageNum <= 1;
-    this.container.querySelector('#next').disabled = this.pageNum >= this.pdfDoc.numPages;
-    this.container.querySelector('#zoomIn').disabled = this.scale >= 3.0;
-    this.container.querySelector('#zoomOut').disabled = this.scale <= 0.5;
+    this.getElement('page_num').disabled = false;
+    this.getElement('prev').disabled = this.pageNum <= 1;
+    this.getElement('next').disabled = this.pageNum >= this.pdfDoc.numPages;
+    this.getElement('zoomIn').disabled = this.scale >= this.maxScale;
+    this.getElement('zoomOut').disabled = this.scale <= this.minScale;
+    this.getElement('zoom-select').disabled = false;
+    this.getElement('rotateLeft').disabled = false;
+    this.getElement('rotateRight').disabled = false;
+    this.updateThumbnailSelection();
   }
 
   /**
@@ -716,11 +4828,14 @@ class PDFVisualizer {
    * @returns {void} Esta función no retorna ningún valor.
    */
   startDragging(e) {
+    // Permitir la selección nativa y el uso de los campos de formulario y las anotaciones
+    if (e.target instanceof Element && e.target.closest('.textLayer span, .pdf-visualizer-field, .pdf-visualizer-markup')) return;
+
     this.isDraggingScroll = true;
     this.startX = e.pageX - this.modal.offsetLeft;
     this.startY = e.pageY - this.modal.offsetTop;
-    this.scrollLeft = this.container.querySelector('#pdf-body').scrollLeft;
-    this.scrollTop = this.container.querySelector('#pdf-body').scrollTop;
+    this.scrollLeft = this.getElement('pdf-body').scrollLeft;
+    this.scrollTop = this.getElement('pdf-body').scrollTop;
   }
 
   /**
@@ -754,8 +4869,296 @@ class PDFVisualizer {
     const y = e.pageY - this.modal.offsetTop;
     const walkX = (x - this.startX) * 2;
     const walkY = (y - this.startY) * 2;
-    this.container.querySelector('#pdf-body').scrollLeft = this.scrollLeft - walkX;
-    this.container.querySelector('#pdf-body').scrollTop = this.scrollTop - walkY;
+    this.getElement('pdf-body').scrollLeft = this.scrollLeft - walkX;
+    this.getElement('pdf-body').scrollTop = this.scrollTop - walkY;
+  }
+
+  /**
+   * Inicia un gesto táctil: con un dedo se desplaza el contenido y con dos se hace zoom.
+   * 
+   * Mientras se pellizca, el contenido se escala con una transformación CSS y la
+   * página no se vuelve a renderizar hasta que termina el gesto.
+   * 
+   * @param {PointerEvent} e - El evento del puntero.
+   * @returns {void}
+   */
+  onTouchStart(e) {
+    if (e.pointerType !== 'touch' || !this.pdfDoc) return;
+
+    // Dejar que los campos de formulario y las anotaciones del usuario reciban el toque
+    if (e.target instanceof Element && e.target.closest('.pdf-visualizer-field, .pdf-visualizer-markup')) return;
+
+    this.touchPointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    const pdfBody = this.getElement('pdf-body');
+
+    if (this.touchPointers.size === 1) {
+      this.touchGesture = {
+        type: 'pan',
+        startX: e.clientX,
+        startY: e.clientY,
+        scrollLeft: pdfBody.scrollLeft,
+        scrollTop: pdfBody.scrollTop,
+        startTime: Date.now(),
+        hasMoved: false,
+      };
+    } else if (this.touchPointers.size === 2) {
+      const [first, second] = [...this.touchPointers.values()];
+
+      // Escalar la vista previa desde el centro del gesto
+      this.touchGesture = {
+        type: 'pinch',
+        startDistance: Math.hypot(first.x - second.x, first.y - second.y),
+        preview: this.startZoomPreview((first.x + second.x) / 2, (first.y + second.y) / 2),
+      };
+    }
+  }
+
+  /**
+   * Actualiza el gesto táctil en curso desplazando el contenido o escalando la vista previa del zoom.
+   * 
+   * @param {PointerEvent} e - El evento del puntero.
+   * @returns {void}
+   */
+  onTouchMove(e) {
+    if (!this.touchPointers.has(e.pointerId)) return;
+
+    this.touchPointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    const gesture = this.touchGesture;
+    if (!gesture) return;
+
+    if (gesture.type === 'pan') {
+      const deltaX = e.clientX - gesture.startX;
+      const deltaY = e.clientY - gesture.startY;
+      const pdfBody = this.getElement('pdf-body');
+
+      if (Math.hypot(deltaX, deltaY) > 10) {
+        gesture.hasMoved = true;
+      }
+      pdfBody.scrollLeft = gesture.scrollLeft - deltaX;
+      pdfBody.scrollTop = gesture.scrollTop - deltaY;
+    } else if (gesture.type === 'pinch' && this.touchPointers.size === 2) {
+      const [first, second] = [...this.touchPointers.values()];
+      const distance = Math.hypot(first.x - second.x, first.y - second.y);
+
+      this.updateZoomPreview(gesture.preview, gesture.preview.startScale * distance / gesture.startDistance);
+    }
+  }
+
+  /**
+   * Termina un gesto táctil. Al soltar un pellizco se renderiza con la escala
+   * final; un desplazamiento horizontal rápido cambia de página, y dos toques
+   * seguidos alternan el ajuste al ancho.
+   * 
+   * @param {PointerEvent} e - El evento del puntero.
+   * @returns {void}
+   */
+  onTouchEnd(e) {
+    if (!this.touchPointers.delete(e.pointerId)) return;
+
+    const gesture = this.touchGesture;
+    // El gesto termina cuando se levantan todos los dedos
+    this.touchGesture = this.touchPointers.size > 0 ? { type: 'none' } : null;
+    if (!gesture) return;
+
+    if (gesture.type === 'pinch') {
+      this.finishZoomPreview(gesture.preview);
+      return;
+    }
+
+    if (gesture.type !== 'pan' || e.type !== 'pointerup') return;
+
+    if (!gesture.hasMoved) {
+      this.onTap(e);
+      return;
+    }
+
+    // Deslizar solo cambia de página si el contenido no se pudo desplazar en horizontal
+    const deltaX = e.clientX - gesture.startX;
+    const deltaY = e.clientY - gesture.startY;
+    const isSwipe = Date.now() - gesture.startTime < 500
+      && Math.abs(deltaX) > 50
+      && Math.abs(deltaX) > Math.abs(deltaY) * 2
+      && this.getElement('pdf-body').scrollLeft === gesture.scrollLeft;
+
+    if (isSwipe) {
+      deltaX < 0 ? this.onNextPage() : this.onPrevPage();
+    }
+  }
+
+  /**
+   * Detecta dos toques seguidos en el mismo punto para alternar el ajuste al ancho.
+   * 
+   * @param {PointerEvent} e - El evento del puntero del toque.
+   * @returns {void}
+   */
+  onTap(e) {
+    const now = Date.now();
+    const lastTap = this.lastTap;
+
+    if (lastTap && now - lastTap.time < 300 && Math.hypot(e.clientX - lastTap.x, e.clientY - lastTap.y) < 30) {
+      this.lastTap = null;
+      this.toggleFitWidth();
+    } else {
+      this.lastTap = { time: now, x: e.clientX, y: e.clientY };
+    }
+  }
+
+  /**
+   * Alterna entre el ajuste al ancho y el zoom que había antes de activarlo.
+   * 
+   * @returns {void}
+   */
+  toggleFitWidth() {
+    if (this.pageRendering) return;
+
+    if (this.zoomMode === 'fit-width') {
+      this.setZoom(this.zoomBeforeFitWidth ?? 1);
+    } else {
+      this.zoomBeforeFitWidth = this.zoomMode === 'custom' ? this.scale : this.zoomMode;
+      this.setZoom('fit-width');
+    }
+  }
+
+  /**
+   * Hace zoom con Ctrl + rueda del ratón, o con el pellizco del trackpad, que los
+   * navegadores notifican como una rueda con Ctrl, alrededor del cursor.
+   * 
+   * Mientras llegan eventos se escala el lienzo actual con una transformación CSS,
+   * y la página se vuelve a renderizar con la escala final cuando dejan de llegar.
+   * 
+   * @param {WheelEvent} e - El evento de la rueda.
+   * @returns {void}
+   */
+  onWheel(e) {
+    if (!(e.ctrlKey || e.metaKey) || !this.pdfDoc) return;
+
+    // Evitar el zoom del navegador
+    e.preventDefault();
+
+    if (!this.wheelZoomPreview) {
+      this.wheelZoomPreview = this.startZoomPreview(e.clientX, e.clientY);
+    }
+
+    const preview = this.wheelZoomPreview;
+    const delta = e.deltaMode === WheelEvent.DOM_DELTA_LINE ? e.deltaY * 16 : e.deltaY;
+    this.updateZoomPreview(preview, preview.previewScale * Math.exp(-delta / 500));
+
+    clearTimeout(this.wheelZoomTimeout);
+    this.wheelZoomTimeout = setTimeout(() => {
+      this.wheelZoomPreview = null;
+      this.finishZoomPreview(preview);
+    }, 200);
+  }
+
+  /**
+   * Empieza una vista previa del zoom que escala el contenido renderizado con CSS
+   * desde un punto, sin volver a renderizar las páginas.
+   * 
+   * @param {number} clientX - La coordenada horizontal del punto, relativa a la ventana.
+   * @param {number} clientY - La coordenada vertical del punto, relativa a la ventana.
+   * @returns {Object} La vista previa del zoom.
+   */
+  startZoomPreview(clientX, clientY) {
+    const element = this.isContinuous() ? this.pagesContainer : this.pageView.element;
+    const rect = element.getBoundingClientRect();
+
+    element.style.transformOrigin = `${clientX - rect.left}px ${clientY - rect.top}px`;
+
+    return {
+      element,
+      clientX,
+      clientY,
+      startScale: this.scale,
+      previewScale: this.scale,
+    };
+  }
+
+  /**
+   * Cambia la escala de una vista previa del zoom, dentro de los límites del zoom.
+   * 
+   * @param {Object} preview - La vista previa del zoom.
+   * @param {number} scale - La escala a previsualizar.
+   * @returns {void}
+   */
+  updateZoomPreview(preview, scale) {
+    preview.previewScale = Math.min(this.maxScale, Math.max(this.minScale, scale));
+    preview.element.style.transform = `scale(${preview.previewScale / preview.startScale})`;
+  }
+
+  /**
+   * Termina una vista previa del zoom y renderiza con su escala, manteniendo fijo su punto de origen.
+   * 
+   * @param {Object} preview - La vista previa del zoom.
+   * @returns {void}
+   */
+  finishZoomPreview(preview) {
+    preview.element.style.transform = '';
+    preview.element.style.transformOrigin = '';
+
+    const scale = Math.round(preview.previewScale * 100) / 100;
+    if (scale !== preview.startScale && this.pdfDoc) {
+      this.zoomAt(scale, preview.clientX, preview.clientY);
+    }
+  }
+
+  /**
+   * Cambia el zoom manteniendo en la misma posición de la pantalla el punto del
+   * documento que está bajo las coordenadas indicadas.
+   * 
+   * @param {number} scale - La nueva escala.
+   * @param {number} clientX - La coordenada horizontal del punto, relativa a la ventana.
+   * @param {number} clientY - La coordenada vertical del punto, relativa a la ventana.
+   * @returns {void}
+   */
+  zoomAt(scale, clientX, clientY) {
+    const element = this.getPageElementAt(clientY);
+    const rect = element.getBoundingClientRect();
+
+    this.zoomAnchor = {
+      element,
+      x: clientX - rect.left,
+      y: clientY - rect.top,
+      clientX,
+      clientY,
+      scale: this.scale,
+    };
+    this.setZoom(scale);
+  }
+
+  /**
+   * Ajusta el desplazamiento de `#pdf-body` para que el punto guardado por
+   * `zoomAt` vuelva a quedar bajo las mismas coordenadas con la nueva escala.
+   * 
+   * @returns {void}
+   */
+  applyZoomAnchor() {
+    const anchor = this.zoomAnchor;
+    if (!anchor) return;
+
+    this.zoomAnchor = null;
+
+    const pdfBody = this.getElement('pdf-body');
+    const rect = anchor.element.getBoundingClientRect();
+    const ratio = this.scale / anchor.scale;
+
+    pdfBody.scrollLeft += rect.left + anchor.x * ratio - anchor.clientX;
+    pdfBody.scrollTop += rect.top + anchor.y * ratio - anchor.clientY;
+  }
+
+  /**
+   * Obtiene el elemento de la página que está a la altura indicada, o la página a la vista.
+   * 
+   * @param {number} clientY - La coordenada vertical, relativa a la ventana.
+   * @returns {HTMLElement} El elemento de la página.
+   */
+  getPageElementAt(clientY) {
+    if (!this.isContinuous()) return this.pageView.element;
+
+    const pageView = this.pageViews.find(pageView => {
+      const rect = pageView.element.getBoundingClientRect();
+      return clientY >= rect.top && clientY <= rect.bottom;
+    });
+    return (pageView || this.pageViews[this.getPageInView() - 1]).element;
   }
 
   /**
@@ -765,6 +5168,7 @@ class PDFVisualizer {
    * @function open
    * @param {Object} options - Configuración para personalizar el visor PDF.
    * @param {string} [options.url] - URL del archivo PDF a cargar.
+   * @param {string|Blob|ArrayBuffer|ArrayBufferView} [options.source] - Origen del PDF a cargar en lugar de `url`.
    * @param {Function} [options.onAfterOpen] - Función a ejecutar después de que el PDF se haya cargado y el visor se haya abierto.
    * @throws {Error} Si hay algún error al cargar el PDF o al inicializar el visor.
    * 
@@ -772,27 +5176,205 @@ class PDFVisualizer {
    */
   async open({
     url,
+    source,
     onAfterOpen,
   }) {
     try {
       // Abrir el PDF
-      this.previousFocusedElement = document.activeElement;
-      // Se coloca al final del body para que se muestre por último
-      document.body.appendChild(this.modal);
-      // Inicializar el modal
-      this.container.setAttribute('aria-hidden', 'false');
-      // Se coloca al primer elemento enfocable
-      this.container.focus();
+      if (this.isEmbedded()) {
+        // Se inserta en el elemento anfitrión sin robar el foco de la página
+        this.host.appendChild(this.modal);
+        this.container.setAttribute('aria-hidden', 'false');
+      } else {
+        this.previousFocusedElement = document.activeElement;
+        // Se coloca al final del body para que se muestre por último
+        document.body.appendChild(this.modal);
+        // Inicializar el modal
+        this.container.setAttribute('aria-hidden', 'false');
+        // Se coloca al primer elemento enfocable
+        this.container.focus();
+      }
 
       // Cargar el PDF
-      await this.loadPDF(url);
+      await this.loadPDF(source ?? url);
 
       // Se ejecuta después de abrir el PDF
       if (typeof onAfterOpen === 'function') {
         onAfterOpen();
       }
     } catch (error) {
-      throw new Error(error.message || 'Error opening the PDF viewer, please try again.');
+      throw this.toVisualizerError(error);
+    }
+  }
+
+  /**
+   * Verifica que un archivo sea un PDF comprobando su tipo MIME, si lo tiene, y
+   * la cabecera `%PDF-`, que puede aparecer dentro del primer kilobyte.
+   * 
+   * @param {Blob} file - El archivo a comprobar.
+   * @returns {Promise<boolean>} True si el archivo es un PDF, false en caso contrario.
+   */
+  async isPdfFile(file) {
+    if (!(file instanceof Blob)) return false;
+    if (file.type && !['application/pdf', 'application/x-pdf'].includes(file.type)) return false;
+
+    const header = new Uint8Array(await file.slice(0, 1024).arrayBuffer());
+    return String.fromCharCode(...header).includes('%PDF-');
+  }
+
+  /**
+   * Reemplaza el documento actual por un archivo PDF local sin cerrar el visor.
+   * 
+   * El estado de la página, el zoom y el giro se restablecen como al cerrar el
+   * visor y, una vez cargado el nuevo documento, se ejecuta `onDocumentChange`.
+   * 
+   * @param {File|Blob} file - El archivo PDF a abrir.
+   * @throws {PDFVisualizerError} Si el archivo no es un PDF válido o no se puede cargar.
+   * @returns {Promise<void>} Una promesa que se resuelve cuando el nuevo documento se ha renderizado.
+   */
+  async openFile(file) {
+    // Se evita reemplazar el documento si el visor no está abierto o está ocupado
+    if (!this.isOpening || this.isClosing || this.pageRendering || this.isDownloading || this.isPrinting) return;
+
+    if (!(await this.isPdfFile(file))) {
+      throw new PDFVisualizerError(this.titleInvalidFile, { kind: 'invalid-pdf' });
+    }
+
+    this.resetDocument();
+    this.fileName = null;
+
+    try {
+      await this.loadPDF(file);
+    } catch (error) {
+      this.showError(error);
+      throw error;
+    }
+
+    if (typeof this.onDocumentChange === 'function') {
+      this.onDocumentChange({
+        fileName: this.fileName,
+        numPages: this.pdfDoc.numPages,
+      });
+    }
+  }
+
+  /**
+   * Abre un archivo elegido o soltado por el usuario y notifica los errores con `onError`.
+   * 
+   * @param {File} file - El archivo a abrir.
+   * @returns {Promise<void>}
+   */
+  async handleOpenFile(file) {
+    try {
+      await this.openFile(file);
+    } catch (error) {
+      const pdfError = this.toVisualizerError(error);
+      if (typeof this.onError === 'function' && pdfError.kind !== 'abort') {
+        this.onError(pdfError.message, pdfError);
+      }
+    }
+  }
+
+  /**
+   * Libera el documento actual y restablece el estado de la página, el zoom,
+   * el giro, la búsqueda y los paneles, dejando el visor listo para cargar otro documento.
+   * 
+   * @returns {void}
+   */
+  resetDocument() {
+    // Descartar el zoom con la rueda pendiente
+    clearTimeout(this.wheelZoomTimeout);
+    if (this.wheelZoomPreview) {
+      this.wheelZoomPreview.element.style.transform = '';
+      this.wheelZoomPreview.element.style.transformOrigin = '';
+      this.wheelZoomPreview = null;
+    }
+
+    this.url = '';
+    this.source = null;
+    this.pageNum = 1;
+    this.pageNumPending = null;
+    this.pageLabels = null;
+
+    // Rechazar las esperas de `goToPage` pendientes
+    this.pageRenderWaiters.forEach(waiter => waiter.reject(new Error('The PDF document was closed.')));
+    this.pageRenderWaiters = [];
+    this.scale = 1.0;
+    this.zoomMode = 'custom';
+    this.rotation = 0;
+    this.pageRotations = {};
+
+    // Las anotaciones del usuario pertenecen al documento cerrado
+    this.annotations = [];
+    this.inkDrawing = null;
+    this.openNoteId = null;
+
+    // Limpiar el objeto URL temporal
+    window.URL.revokeObjectURL(this.pdfUrl);
+    this.pdfUrl = '';
+
+    // Limpiar el canvas
+    if (this.canvas) {
+      this.canvas.width = 0
+      this.canvas.height = 0
+    }
+
+    // Liberar las páginas del modo continuo
+    this.pageViews.forEach(pageView => this.releasePageView(pageView));
+    this.pageViews = [];
+    this.layoutScale = null;
+    if (this.pagesContainer) {
+      this.pagesContainer.innerHTML = '';
+    }
+
+    // Liberar las miniaturas y los marcadores
+    this.releaseThumbnails();
+    this.pendingDestination = null;
+    this.getElement('pdf-outline').innerHTML = '';
+    this.getElement('outline-toggle').hidden = true;
+    this.getElement('pdf-outline').hidden = true;
+
+    // Limpiar la búsqueda
+    clearTimeout(this.searchTimeout);
+    this.searchId++;
+    this.searchQuery = '';
+    this.searchMatches = [];
+    this.searchMatchIndex = -1;
+    this.isScrollingToSearchMatch = false;
+    this.pageTexts = [];
+    if (this.isSearchable) {
+      this.getElement('search-input').value = '';
+      this.updateSearchInfo();
+    }
+
+    // Liberar las capas del modo de una página
+    if (this.pageView) {
+      this.releasePageLayers(this.pageView);
+      this.pageView.page = null;
+    }
+    this.page = null;
+    TextLayer.cleanup();
+
+    // Restablecer la UI
+    this.showLoading();
+    this.getElement('pdf-body').scrollTop = 0;
+    this.getElement('pdf-body').scrollLeft = 0;
+    this.updateZoomInfo();
+    this.getElement('page_num').value = '';
+    this.getElement('page_num').disabled = true;
+    this.getElement('page_count').textContent = '';
+    this.getElement('prev').disabled = true;
+    this.getElement('next').disabled = true;
+    this.getElement('zoomIn').disabled = true;
+    this.getElement('zoomOut').disabled = true;
+    this.getElement('zoom-select').disabled = true;
+    this.getElement('rotateLeft').disabled = true;
+    this.getElement('rotateRight').disabled = true;
+
+    // Destruir el documento PDF si existe
+    if (this.pdfDoc) {
+      this.pdfDoc.destroy();
+      this.pdfDoc = null;
     }
   }
 
@@ -813,6 +5395,9 @@ class PDFVisualizer {
     // Se evita cerrar el PDF si no está abierto
     if (!this.isOpening) return;
 
+    // Cancelar la descarga en curso para poder cerrar
+    this.cancelLoading();
+
     // Se evita cerrar el PDF si se está renderizando una página
     if (this.pageRendering || this.isClosing || this.isDownloading || this.isPrinting) return;
 
@@ -822,16 +5407,13 @@ class PDFVisualizer {
     }
 
     this.isClosing = true;
-    this.container.classList.add('pdf-visualizer-content-closed');
 
-    this.container.addEventListener('animationend', () => {
-      document.body.removeChild(this.modal);
+    const onClosed = () => {
+      this.modal.remove();
 
-      // Reiniciar el estado
-      this.url = '';
-      this.pageNum = 1;
-      this.pageNumPending = null;
-      this.scale = 1.0;
+      // Liberar el documento y reiniciar el estado
+      this.resetDocument();
+      this.pageView = null;
       this.isDraggingHeader = false;
       this.offsetX = 0;
       this.offsetY = 0;
@@ -840,22 +5422,17 @@ class PDFVisualizer {
       this.startY = 0;
       this.scrollLeft = 0;
       this.scrollTop = 0;
+      this.touchPointers.clear();
+      this.touchGesture = null;
+      this.lastTap = null;
+      this.zoomAnchor = null;
+      this.zoomBeforeFitWidth = null;
 
-      // Limpiar el objeto URL temporal
-      window.URL.revokeObjectURL(this.pdfUrl);
-
-      // Limpiar el canvas
-      this.canvas.width = 0
-      this.canvas.height = 0
+      // Dejar de observar el tamaño del visor
+      this.resizeObserver?.disconnect();
+      this.resizeObserver = null;
+      clearTimeout(this.resizeTimeout);
 
-      // Restablecer la UI
-      this.container.querySelector('#preloader').style.display = 'flex';
-      this.updateZoomInfo();
-      this.container.querySelector('#page-info').innerHTML = `${this.titlePageNumber}: <span id="page_num"></span> / <span id="page_count"></span>`;
-      this.container.querySelector('#prev').disabled = true;
-      this.container.querySelector('#next').disabled = true;
-      this.container.querySelector('#zoomIn').disabled = true;
-      this.container.querySelector('#zoomOut').disabled = true;
       this.container.setAttribute('aria-hidden', 'true');
 
       // Restablecer la posición del contenido
@@ -864,11 +5441,7 @@ class PDFVisualizer {
 
       // Devolver el foco al elemento anterior
       this.previousFocusedElement?.focus();
-
-      // Destruir el documento PDF si existe
-      if (this.pdfDoc) {
-        this.pdfDoc.destroy();
-      }
+      this.previousFocusedElement = null;
 
       this.isOpening = false;
       this.isClosing = false;
@@ -880,7 +5453,16 @@ class PDFVisualizer {
       if (typeof onAfterClose === 'function') {
         onAfterClose();
       }
-    });
+    };
+
+    // En modo embebido no hay animación de cierre
+    if (this.isEmbedded()) {
+      onClosed();
+      return;
+    }
+
+    this.container.classList.add('pdf-visualizer-content-closed');
+    this.container.addEventListener('animationend', onClosed, { once: true });
   }
 
   /**
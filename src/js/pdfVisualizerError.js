@@ -0,0 +1,31 @@
+/**
+ * Error producido al cargar un documento en el visor de PDF.
+ *
+ * El tipo (`kind`) indica la causa del error:
+ * - `network`: no se pudo conectar con el servidor.
+ * - `http`: el servidor respondió con un estado de error; `status` contiene el código.
+ * - `invalid-pdf`: el contenido recibido no es un documento PDF válido.
+ * - `password`: el documento está protegido con contraseña.
+ * - `abort`: la carga se canceló.
+ * - `unknown`: cualquier otro error.
+ */
+class PDFVisualizerError extends Error {
+  /**
+   * @param {string} message - El mensaje del error.
+   * @param {Object} [options] - Los detalles del error.
+   * @param {string} [options.kind='unknown'] - El tipo de error: 'network', 'http', 'invalid-pdf', 'password', 'abort' o 'unknown'.
+   * @param {number|null} [options.status=null] - El estado HTTP de la respuesta, si lo hay.
+   * @param {string} [options.url=''] - La URL del documento, si se cargó desde una URL.
+   * @param {*} [options.cause] - El error original.
+   */
+  constructor(message, { kind = 'unknown', status = null, url = '', cause } = {}) {
+    super(message);
+    this.name = 'PDFVisualizerError';
+    this.kind = kind;
+    this.status = status;
+    this.url = url;
+    this.cause = cause;
+  }
+}
+
+export default PDFVisualizerError;
@@ -1,5 +1,4 @@
 import Modal from './modal'
-import Browser from './browser'
 
 export function addWrapper (htmlData, params) {
   const bodyStyle = 'font-family:' + params.font + ' !important; font-size: ' + params.font_size + ' !important; width:100%;'
@@ -94,38 +93,22 @@ export function cleanUp (params) {
 
   // If preloading pdf files, clean blob url
   if (params.showModal || params.onLoadingStart) window.URL.revokeObjectURL(params.printable)
+}
 
-  // Run onPrintDialogClose callback
-  let event = 'mouseover'
+export function removePrintFrame (params) {
+  const iframe = document.getElementById(params.frameId)
 
-  if (Browser.isChrome() || Browser.isFirefox()) {
-    // Ps.: Firefox will require an extra click in the document to fire the focus event.
-    event = 'focus'
-  }
+  if (!iframe) return
 
-  const handler = () => {
-    // Make sure the event only happens once.
-    window.removeEventListener(event, handler)
-
-    params.onPrintDialogClose()
-
-    // Remove iframe from the DOM
-    const iframe = document.getElementById(params.frameId)
-
-    if (iframe) {
-      if (params.frameRemoveDelay) {
-        setTimeout(() => {
-          iframe.remove()
-        },
-        params.frameRemoveDelay
-        )
-      } else {
-        iframe.remove()
-      }
-    }
+  if (params.frameRemoveDelay) {
+    setTimeout(() => {
+      iframe.remove()
+    },
+    params.frameRemoveDelay
+    )
+  } else {
+    iframe.remove()
   }
-
-  window.addEventListener(event, handler)
 }
 
 export function isRawHTML (raw) {
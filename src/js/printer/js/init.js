@@ -42,6 +42,8 @@ export default {
    * @param {string} [args.fallbackPrintable] - Alternate pdf document to be opened if the browser is not compatible.
    * @param {Function} [args.onPdfOpen] - Callback function executed when the pdf is opened in a new tab.
    * @param {Function} [args.onPrintDialogClose] - Callback function executed once the browser print dialog is closed.
+   * @param {number} [args.printDialogTimeout=5000] - Milliseconds to wait after opening the print dialog before assuming it was closed, when the browser does not fire print events.
+   * @param {number} [args.pdfDialogTimeout=60000] - Maximum milliseconds to wait for PDFs, which are assumed closed earlier if the page gets the focus back.
    * @param {Function} [args.onError] - Callback function to be executed when an error occurs.
    * @param {boolean} [args.base64=false] - Used when printing PDF documents passed as base64 data.
    * @param {boolean} [args.honorMarginPadding=true] - Keep or remove padding and margin from elements that are being printed.
@@ -49,6 +51,8 @@ export default {
    * @param {string} [args.font='TimesNewRoman'] - Typeface used when printing HTML or JSON.
    * @param {string} [args.font_size='12pt'] - Font size used when printing HTML or JSON.
    * @param {string} [args.imageStyle='width:100%;'] - Custom styles to be applied to each image when printing images.
+   * @returns {Promise<void>} Resolves when the print dialog is closed and rejects if the print job fails.
+   * @throws {Error} If the printable or the print type are missing or invalid.
    */
   init(args) {
     const params = {
@@ -65,10 +69,12 @@ export default {
       gridHeaderStyle: 'font-weight: bold; padding: 5px; border: 1px solid #dddddd;',
       gridStyle: 'border: 1px solid lightgray; margin-bottom: -1px;',
       showModal: false,
-      onError: (error) => { throw error },
+      onError: () => {},
       onLoadingStart: null,
       onLoadingEnd: null,
       onPrintDialogClose: () => {},
+      printDialogTimeout: 5000,
+      pdfDialogTimeout: 60000,
       onIncompatibleBrowser: () => {},
       modalMessage: 'Retrieving Document...',
       frameId: 'printJS',
@@ -127,84 +133,107 @@ export default {
       throw new Error('Invalid print type. Available types are: pdf, html, image and json.');
     }
 
-    // Check if we are showing a feedback message to the user (useful for large files)
-    if (params.showModal) Modal.show(params);
+    return new Promise((resolve, reject) => {
+      const { onPrintDialogClose, onError } = params;
 
-    // Check for a print start hook function
-    if (params.onLoadingStart) params.onLoadingStart();
+      params.onPrintDialogClose = () => {
+        onPrintDialogClose();
+        resolve();
+      };
 
-    // To prevent duplication and issues, remove any used printFrame from the DOM
-    const usedFrame = document.getElementById(params.frameId);
+      // The error may come alone or after its message, as in onError(error.message, error)
+      params.onError = (...errorArgs) => {
+        const error = errorArgs.find(arg => arg instanceof Error) || new Error(String(errorArgs[0]));
 
-    if (usedFrame) usedFrame.parentNode.removeChild(usedFrame);
+        try {
+          onError(...errorArgs);
+        } finally {
+          reject(error);
+        }
+      };
 
-    // Create a new iframe for the print job
-    const printFrame = document.createElement('iframe');
+      // Check if we are showing a feedback message to the user (useful for large files)
+      if (params.showModal) Modal.show(params);
 
-    if (Browser.isFirefox()) {
-      // Set the iframe to be is visible on the page (guaranteed by fixed position) but hidden using opacity 0, because
-      // this works in Firefox. The height needs to be sufficient for some part of the document other than the PDF
-      // viewer's toolbar to be visible in the page
-      printFrame.setAttribute('style', 'width: 1px; height: 100px; position: fixed; left: 0; top: 0; opacity: 0; border-width: 0; margin: 0; padding: 0');
-    } else {
-      // Hide the iframe in other browsers
-      printFrame.setAttribute('style', 'visibility: hidden; height: 0; width: 0; position: absolute; border: 0');
-    }
+      // Check for a print start hook function
+      if (params.onLoadingStart) params.onLoadingStart();
 
-    // Set iframe element id
-    printFrame.setAttribute('id', params.frameId);
+      // To prevent duplication and issues, remove any used printFrame from the DOM
+      const usedFrame = document.getElementById(params.frameId);
 
-    // For non pdf printing, pass an html document string to srcdoc (force onload callback)
-    if (params.type !== 'pdf') {
-      printFrame.srcdoc = '<html><head><title>' + params.documentTitle + '</title>';
+      if (usedFrame) usedFrame.parentNode.removeChild(usedFrame);
 
-      // Attach css files
-      if (params.css) {
-        // Add support for single file
-        if (!Array.isArray(params.css)) params.css = [params.css];
+      // Create a new iframe for the print job
+      const printFrame = document.createElement('iframe');
 
-        // Create link tags for each css file
-        params.css.forEach(file => {
-          printFrame.srcdoc += '<link rel="stylesheet" href="' + file + '">';
-        });
+      if (Browser.isFirefox()) {
+        // Set the iframe to be is visible on the page (guaranteed by fixed position) but hidden using opacity 0, because
+        // this works in Firefox. The height needs to be sufficient for some part of the document other than the PDF
+        // viewer's toolbar to be visible in the page
+        printFrame.setAttribute('style', 'width: 1px; height: 100px; position: fixed; left: 0; top: 0; opacity: 0; border-width: 0; margin: 0; padding: 0');
+      } else {
+        // Hide the iframe in other browsers
+        printFrame.setAttribute('style', 'visibility: hidden; height: 0; width: 0; position: absolute; border: 0');
       }
 
-      printFrame.srcdoc += '</head><body></body></html>';
-    }
+      // Set iframe element id
+      printFrame.setAttribute('id', params.frameId);
 
-    // Check printable type
-    switch (params.type) {
-      case 'pdf':
-        // Check browser support for pdf and if not supported we will just open the pdf file instead
-        if (Browser.isIE()) {
-          try {
-            console.info('Print.js doesn\'t support PDF printing in Internet Explorer.');
-            const win = window.open(params.fallbackPrintable, '_blank');
-            win.focus();
-            params.onIncompatibleBrowser();
-          } catch (error) {
-            params.onError(error);
-          } finally {
-            // Make sure there is no loading modal opened
-            if (params.showModal) Modal.close();
-            if (params.onLoadingEnd) params.onLoadingEnd();
-          }
-        } else {
-          Pdf.print(params, printFrame);
+      // For non pdf printing, pass an html document string to srcdoc (force onload callback)
+      if (params.type !== 'pdf') {
+        printFrame.srcdoc = '<html><head><title>' + params.documentTitle + '</title>';
+
+        // Attach css files
+        if (params.css) {
+          // Add support for single file
+          if (!Array.isArray(params.css)) params.css = [params.css];
+
+          // Create link tags for each css file
+          params.css.forEach(file => {
+            printFrame.srcdoc += '<link rel="stylesheet" href="' + file + '">';
+          });
         }
-        break;
-      case 'image':
-        Image.print(params, printFrame);
-        break;
-      case 'html':
-        Html.print(params, printFrame);
-        break;
-      case 'raw-html':
-        RawHtml.print(params, printFrame);
-        break;
-      case 'json':
-        Json.print(params, printFrame);
-        break;
-    }
+
+        printFrame.srcdoc += '</head><body></body></html>';
+      }
+
+      // Check printable type
+      switch (params.type) {
+        case 'pdf':
+          // Check browser support for pdf and if not supported we will just open the pdf file instead
+          if (Browser.isIE()) {
+            try {
+              console.info('Print.js doesn\'t support PDF printing in Internet Explorer.');
+              const win = window.open(params.fallbackPrintable, '_blank');
+              win.focus();
+              params.onIncompatibleBrowser();
+            } catch (error) {
+              params.onError(error);
+            } finally {
+              // Make sure there is no loading modal opened
+              if (params.showModal) Modal.close();
+              if (params.onLoadingEnd) params.onLoadingEnd();
+
+              // There is no print dialog to wait for
+              resolve();
+            }
+          } else {
+            Pdf.print(params, printFrame);
+          }
+          break;
+        case 'image':
+          Image.print(params, printFrame);
+          break;
+        case 'html':
+          Html.print(params, printFrame);
+          break;
+        case 'raw-html':
+          RawHtml.print(params, printFrame);
+          break;
+        case 'json':
+          Json.print(params, printFrame);
+          break;
+      }
+    });
   }
 };
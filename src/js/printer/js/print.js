@@ -1,5 +1,5 @@
 import Browser from './browser'
-import { cleanUp } from './functions'
+import { cleanUp, removePrintFrame } from './functions'
 
 const Print = {
   send: (params, printFrame) => {
@@ -11,65 +11,85 @@ const Print = {
 
     // Wait for iframe to load all content
     iframeElement.onload = () => {
-      if (params.type === 'pdf') {
-        // Add a delay for Firefox. In my tests, 1000ms was sufficient but 100ms was not
-        if (Browser.isFirefox() && Browser.getFirefoxMajorVersion() < 110) {
-          setTimeout(() => performPrint(iframeElement, params), 1000)
-        } else {
-          performPrint(iframeElement, params)
+      try {
+        if (params.type === 'pdf') {
+          // Add a delay for Firefox. In my tests, 1000ms was sufficient but 100ms was not
+          if (Browser.isFirefox() && Browser.getFirefoxMajorVersion() < 110) {
+            setTimeout(() => performPrint(iframeElement, params), 1000)
+          } else {
+            performPrint(iframeElement, params)
+          }
+          return
         }
-        return
-      }
 
-      // Get iframe element document
-      let printDocument = (iframeElement.contentWindow || iframeElement.contentDocument)
-      if (printDocument.document) printDocument = printDocument.document
+        // Get iframe element document
+        let printDocument = (iframeElement.contentWindow || iframeElement.contentDocument)
+        if (printDocument.document) printDocument = printDocument.document
 
-      // Append printable element to the iframe body
-      printDocument.body.appendChild(params.printableElement)
+        // Append printable element to the iframe body
+        printDocument.body.appendChild(params.printableElement)
 
-      // Add custom style
-      if (params.type !== 'pdf' && params.style) {
-        // Create style element
-        const style = document.createElement('style')
-        style.innerHTML = params.style
+        // Add custom style
+        if (params.type !== 'pdf' && params.style) {
+          // Create style element
+          const style = document.createElement('style')
+          style.innerHTML = params.style
 
-        // Append style element to iframe's head
-        printDocument.head.appendChild(style)
-      }
+          // Append style element to iframe's head
+          printDocument.head.appendChild(style)
+        }
 
-      // If printing images, wait for them to load inside the iframe
-      const images = printDocument.getElementsByTagName('img')
+        // If printing images, wait for them to load inside the iframe
+        const images = printDocument.getElementsByTagName('img')
 
-      if (images.length > 0) {
-        loadIframeImages(Array.from(images)).then(() => performPrint(iframeElement, params))
-      } else {
-        performPrint(iframeElement, params)
+        if (images.length > 0) {
+          loadIframeImages(Array.from(images)).then(() => performPrint(iframeElement, params))
+        } else {
+          performPrint(iframeElement, params)
+        }
+      } catch (error) {
+        // Errors thrown here would never reach the print promise
+        cleanUp(params)
+        removePrintFrame(params)
+        params.onError(error)
       }
     }
   }
 }
 
 function performPrint (iframeElement, params) {
+  const printWindow = iframeElement.contentWindow
+  let dialog = null
+
   try {
     iframeElement.focus()
 
+    // Listen for the print events before opening the dialog, since some browsers fire them while print() is running
+    dialog = listenPrintDialog(printWindow, params, isClosed => {
+      // Without print events the dialog may still be open, so the iframe is kept until the next print job replaces it
+      if (isClosed) removePrintFrame(params)
+
+      params.onPrintDialogClose()
+    })
+
+    cleanUp(params)
+
     // If Edge or IE, try catch with execCommand
     if (Browser.isEdge() || Browser.isIE()) {
       try {
-        iframeElement.contentWindow.document.execCommand('print', false, null)
+        printWindow.document.execCommand('print', false, null)
       } catch (e) {
-        setTimeout(function(){
-          iframeElement.contentWindow.print()
-        },1000)
+        printWindow.print()
       }
     } else {
       // Other browsers
-      setTimeout(function(){
-        iframeElement.contentWindow.print()
-      },1000)
+      printWindow.print()
     }
+
+    dialog.startFallback()
   } catch (error) {
+    if (dialog) dialog.stop()
+    removePrintFrame(params)
     params.onError(error)
   } finally {
     if (Browser.isFirefox() && Browser.getFirefoxMajorVersion() < 110) {
@@ -77,8 +97,89 @@ function performPrint (iframeElement, params) {
       iframeElement.style.visibility = 'hidden'
       iframeElement.style.left = '-1px'
     }
+  }
+}
 
-    cleanUp(params)
+function listenPrintDialog (printWindow, params, onClose) {
+  const mediaQuery = typeof printWindow.matchMedia === 'function' ? printWindow.matchMedia('print') : null
+  let hasPrintEvents = false
+  let isDone = false
+  let timeout = null
+
+  const stop = () => {
+    isDone = true
+    clearTimeout(timeout)
+    printWindow.removeEventListener('beforeprint', onBeforePrint)
+    printWindow.removeEventListener('afterprint', onAfterPrint)
+    window.removeEventListener('focus', onFocusBack)
+    document.removeEventListener('visibilitychange', onFocusBack)
+
+    if (mediaQuery) {
+      // Safari before 14 only supports the deprecated removeListener
+      if (mediaQuery.removeEventListener) {
+        mediaQuery.removeEventListener('change', onMediaChange)
+      } else {
+        mediaQuery.removeListener(onMediaChange)
+      }
+    }
+  }
+
+  const finish = isClosed => {
+    if (isDone) return
+
+    stop()
+    onClose(isClosed)
+  }
+
+  // Once the browser reports the print, wait for its end instead of the timeout
+  const onBeforePrint = () => {
+    hasPrintEvents = true
+    clearTimeout(timeout)
+  }
+
+  const onAfterPrint = () => finish(true)
+
+  // The page gets the focus back, or becomes visible again, once the dialog is gone
+  const onFocusBack = () => {
+    if (document.visibilityState === 'visible') finish(false)
+  }
+
+  const onMediaChange = event => {
+    if (event.matches) {
+      onBeforePrint()
+    } else {
+      finish(true)
+    }
+  }
+
+  printWindow.addEventListener('beforeprint', onBeforePrint)
+  printWindow.addEventListener('afterprint', onAfterPrint)
+
+  if (mediaQuery) {
+    if (mediaQuery.addEventListener) {
+      mediaQuery.addEventListener('change', onMediaChange)
+    } else {
+      mediaQuery.addListener(onMediaChange)
+    }
+  }
+
+  return {
+    stop,
+    // Some browsers (e.g. printing a PDF in Chrome) do not fire print events on the iframe
+    startFallback: () => {
+      if (isDone || hasPrintEvents) return
+
+      // The PDF viewer keeps its dialog open for as long as the user needs, so the page focus is the better signal.
+      // The focus may stay in the iframe, though, so a longer timeout still settles the print job
+      if (params.type === 'pdf') {
+        window.addEventListener('focus', onFocusBack)
+        document.addEventListener('visibilitychange', onFocusBack)
+        timeout = setTimeout(() => finish(false), params.pdfDialogTimeout)
+        return
+      }
+
+      timeout = setTimeout(() => finish(false), params.printDialogTimeout)
+    }
   }
 }
 